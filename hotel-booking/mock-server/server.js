@@ -0,0 +1,254 @@
+/*
+===============================================
+File: mock-server/server.js
+Author: Team 7
+Description:
+  Small REST mock server for the Hotel Booking System
+  - Stores all data in a JSON file (data.json)
+  - Serves the frontend from the parent folder
+  - No dependencies: node server.js [port]
+===============================================
+*/
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 3001;
+const DATA_FILE = path.join(__dirname, 'data.json');
+const STATIC_DIR = path.join(__dirname, '..');
+
+const PRIMARY_KEYS = {
+  roles: 'role_id',
+  users: 'user_id',
+  cancellationPolicies: 'policy_id',
+  roomTypes: 'type_id',
+  rooms: 'room_id',
+  rateRules: 'rule_id',
+  services: 'service_id',
+  promotions: 'promo_id',
+  reservations: 'reservation_id',
+  bookings: 'booking_id',
+  bookingServices: 'booking_service_id',
+  payments: 'payment_id',
+  invoices: 'invoice_id',
+  auditLog: 'audit_id'
+};
+
+// Collections that may only be appended to
+const APPEND_ONLY = ['auditLog'];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8'
+};
+
+/* =========================
+   JSON File Store
+   ========================= */
+
+function readData() {
+  if (!fs.existsSync(DATA_FILE)) return null;
+  return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+}
+
+/**
+ * Move a corrupted data file aside so it can be inspected later
+ */
+function quarantineData() {
+  const file = `data.quarantine-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  fs.renameSync(DATA_FILE, path.join(__dirname, file));
+  return file;
+}
+
+/**
+ * Write to a temp file first so a crash never leaves half a file
+ */
+function writeData(data) {
+  const tmp = DATA_FILE + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+/* =========================
+   HTTP Helpers
+   ========================= */
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : null);
+      } catch (ex) {
+        reject(ex);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Whether target lies inside dir (a sibling such as dir + '2' does not)
+ */
+function isInside(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function serveStatic(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(req.url.split('?')[0]);
+  } catch (ex) {
+    send(res, 400, { error: 'Bad request' });
+    return;
+  }
+  const filePath = path.join(STATIC_DIR, urlPath === '/' ? 'index.html' : urlPath);
+
+  if (!isInside(STATIC_DIR, filePath) || isInside(__dirname, filePath)) {
+    send(res, 403, { error: 'Forbidden' });
+    return;
+  }
+
+  fs.readFile(filePath, (err, content) => {
+    if (err) {
+      send(res, 404, { error: 'Not found' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(content);
+  });
+}
+
+/* =========================
+   API Routes
+   ========================= */
+
+/**
+ * GET    /api/data               -> whole dataset (404 until first PUT)
+ * PUT    /api/data               -> replace whole dataset
+ * POST   /api/quarantine         -> move the data file aside
+ * PUT    /api/settings           -> replace settings
+ * POST   /api/:collection        -> insert record
+ * PUT    /api/:collection/:id    -> update record
+ * DELETE /api/:collection/:id    -> delete record
+ */
+async function handleApi(req, res, parts) {
+  const [resource, id] = parts;
+
+  if (resource === 'data') {
+    if (req.method === 'GET') {
+      // Sent as stored so the client can detect and quarantine corrupted data
+      if (!fs.existsSync(DATA_FILE)) return send(res, 404, { error: 'No data' });
+      res.writeHead(200, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+      });
+      return res.end(fs.readFileSync(DATA_FILE));
+    }
+    if (req.method === 'PUT') {
+      const { currentUser, ...data } = await readBody(req);
+      // A full save never rewrites append-only collections that already exist
+      let current = null;
+      try {
+        current = readData();
+      } catch (ex) {
+        // Unreadable data is simply replaced
+      }
+      if (current) {
+        APPEND_ONLY.filter(c => Array.isArray(current[c])).forEach(c => { data[c] = current[c]; });
+      }
+      writeData(data);
+      return send(res, 204);
+    }
+  }
+
+  if (resource === 'quarantine' && req.method === 'POST') {
+    if (!fs.existsSync(DATA_FILE)) return send(res, 404, { error: 'No data' });
+    return send(res, 200, { file: quarantineData() });
+  }
+
+  const data = readData();
+  if (!data) return send(res, 409, { error: 'Data has not been initialized' });
+
+  if (resource === 'settings' && req.method === 'PUT') {
+    data.settings = await readBody(req);
+    writeData(data);
+    return send(res, 204);
+  }
+
+  const key = Object.hasOwn(PRIMARY_KEYS, resource) ? PRIMARY_KEYS[resource] : null;
+  if (!key) return send(res, 404, { error: `Unknown collection: ${resource}` });
+
+  const records = data[resource] || (data[resource] = []);
+  const recordId = Number(id);
+  const index = records.findIndex(r => r[key] === recordId);
+
+  if (req.method === 'POST' && id === undefined) {
+    // The id is assigned here; the client adopts it from the response
+    const record = {
+      ...(await readBody(req)),
+      [key]: records.reduce((max, r) => Math.max(max, r[key] || 0), 0) + 1
+    };
+    records.push(record);
+    writeData(data);
+    return send(res, 201, record);
+  }
+
+  if (id === undefined || APPEND_ONLY.includes(resource)) return send(res, 405, { error: 'Method not allowed' });
+  if (index === -1) return send(res, 404, { error: `${resource} ${id} not found` });
+
+  if (req.method === 'PUT') {
+    records[index] = { ...(await readBody(req)), [key]: recordId };
+    writeData(data);
+    return send(res, 200, records[index]);
+  }
+  if (req.method === 'DELETE') {
+    records.splice(index, 1);
+    writeData(data);
+    return send(res, 204);
+  }
+
+  send(res, 405, { error: 'Method not allowed' });
+}
+
+/* =========================
+   Server
+   ========================= */
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    return res.end();
+  }
+
+  const parts = req.url.split('?')[0].split('/').filter(Boolean);
+
+  try {
+    if (parts[0] !== 'api') return serveStatic(req, res);
+    await handleApi(req, res, parts.slice(1));
+  } catch (ex) {
+    console.error(ex);
+    send(res, ex instanceof SyntaxError ? 400 : 500, { error: ex.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Hotel Booking mock server: http://localhost:${PORT}`);
+  console.log(`Data file: ${DATA_FILE}`);
+});
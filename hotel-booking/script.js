@@ -4,7 +4,7 @@ File: script.js
 Author: Team 7
 Description:
   SPA frontend-only Hotel Booking System with Integrated UI
-  - Data persisted in localStorage
+  - Data persisted through storage adapters (localStorage, IndexedDB, REST)
   - Full CRUD for all modules
   - Authentication & Role-based access
   - Integrated customer and management interface
@@ -17,14 +17,16 @@ Version: 1.0
    ========================= */
 
 const STORAGE_KEY = "hbs_data_v3";
+const SCHEMA_VERSION = 9;
 
 /**
  * generateId
  * Simple incremental id generator given a collection
+ * Pass idField when the records carry other *_id fields
  */
-function generateId(arr) {
+function generateId(arr, idField = null) {
   if (!arr || arr.length === 0) return 1;
-  const ids = arr.map(x => 
+  const ids = arr.map(x => idField ? x[idField] :
     x.id || x.role_id || x.user_id || x.booking_id || 
     x.service_id || x.payment_id || x.room_id || 
     x.type_id || x.booking_service_id
@@ -45,8 +47,41 @@ function formatMoney(v) {
   }).format(v);
 }
 
+/* =========================
+   Safe HTML
+   ========================= */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+// Fragments built by html``; any other value put into markup is escaped
+const safeHtmlFragments = new WeakSet();
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, ch => HTML_ESCAPES[ch]);
+}
+
+function toMarkup(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (safeHtmlFragments.has(value)) return value.markup;
+  if (Array.isArray(value)) return value.map(toMarkup).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Tag for every markup template: interpolated values are escaped unless they
+ * are html`` fragments themselves; arrays of fragments are concatenated.
+ * The result can be assigned to innerHTML directly.
+ */
+function html(strings, ...values) {
+  const markup = strings.reduce((out, part, i) => out + part + (i < values.length ? toMarkup(values[i]) : ''), '');
+  const fragment = { markup: markup, toString: () => markup };
+  safeHtmlFragments.add(fragment);
+  return fragment;
+}
+
 /**
- * Simple password hashing (for demo purposes only)
+ * Legacy 32-bit password hash
+ * Only used to verify accounts saved before PBKDF2, which are upgraded on login
  */
 function simpleHash(password) {
   let hash = 0;
@@ -58,18 +93,159 @@ function simpleHash(password) {
   return hash.toString();
 }
 
+/* =========================
+   Password Hashing
+   ========================= */
+
+const PBKDF2_ITERATIONS = 600000;
+
+function bytesToHex(bytes) {
+  return Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+}
+
+/**
+ * Hash a password with salted PBKDF2-SHA256 via Web Crypto
+ * Returns the fields stored on the user record
+ */
+async function hashPassword(password, saltHex = null, iterations = PBKDF2_ITERATIONS) {
+  const salt = saltHex ? hexToBytes(saltHex) : crypto.getRandomValues(new Uint8Array(16));
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations }, key, 256
+  );
+  
+  return {
+    password_hash: bytesToHex(bits),
+    password_salt: bytesToHex(salt),
+    password_iterations: iterations
+  };
+}
+
+/**
+ * Compare two hex strings without bailing out at the first difference
+ */
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Check a password against a user record, legacy hashes included
+ */
+async function verifyPassword(user, password) {
+  if (!user.password_salt) {
+    return safeEqual(user.password_hash, simpleHash(password));
+  }
+  const { password_hash } = await hashPassword(password, user.password_salt, user.password_iterations);
+  return safeEqual(user.password_hash, password_hash);
+}
+
+/**
+ * Whether the stored hash should be recomputed with the current settings
+ */
+function needsRehash(user) {
+  return !user.password_salt || user.password_iterations < PBKDF2_ITERATIONS;
+}
+
+/* =========================
+   Password Policy
+   ========================= */
+
+const PASSWORD_CHARACTER_CLASSES = [
+  { key: 'lowercase', label: 'chữ thường', pattern: /[a-z]/ },
+  { key: 'uppercase', label: 'chữ hoa', pattern: /[A-Z]/ },
+  { key: 'digit', label: 'chữ số', pattern: /[0-9]/ },
+  { key: 'symbol', label: 'ký tự đặc biệt', pattern: /[^A-Za-z0-9]/ }
+];
+
+const PASSWORD_STRENGTH_LABELS = ['Rất yếu', 'Yếu', 'Trung bình', 'Khá', 'Mạnh'];
+
+function isBlocklistedPassword(password, policy = state.settings.password_policy) {
+  const normalized = password.trim().toLowerCase();
+  return policy.blocklist.some(entry => entry.toLowerCase() === normalized);
+}
+
+/**
+ * Requirements of the configured policy that the password does not meet
+ */
+function getPasswordPolicyErrors(password, policy = state.settings.password_policy) {
+  const errors = [];
+  if (password.length < policy.min_length) {
+    errors.push(`Ít nhất ${policy.min_length} ký tự`);
+  }
+  PASSWORD_CHARACTER_CLASSES
+    .filter(c => policy.required_classes.includes(c.key) && !c.pattern.test(password))
+    .forEach(c => errors.push(`Có ít nhất một ${c.label}`));
+  if (isBlocklistedPassword(password, policy)) {
+    errors.push('Không phải mật khẩu phổ biến, dễ đoán');
+  }
+  return errors;
+}
+
+/**
+ * Score from 0 (very weak) to 4 (strong) for the strength meter
+ */
+function getPasswordStrength(password) {
+  const classes = PASSWORD_CHARACTER_CLASSES.filter(c => c.pattern.test(password)).length;
+  let score = 0;
+  if (password.length >= 8) score++;
+  if (password.length >= 12) score++;
+  if (classes >= 3) score++;
+  if (classes === PASSWORD_CHARACTER_CLASSES.length || password.length >= 16) score++;
+  if (isBlocklistedPassword(password)) score = 0;
+  return { score: score, label: PASSWORD_STRENGTH_LABELS[score] };
+}
+
+function renderStrengthMeter(meter, password) {
+  if (!password) {
+    meter.innerHTML = '';
+    return;
+  }
+  
+  const strength = getPasswordStrength(password);
+  const errors = getPasswordPolicyErrors(password);
+  meter.innerHTML = html`
+    <div class="meter-bar">
+      <span class="meter-fill strength-${strength.score}" style="width: ${(strength.score + 1) * 20}%"></span>
+    </div>
+    <div class="meter-label">Độ mạnh: ${strength.label}</div>
+    ${errors.length > 0 ? html`<ul class="meter-errors">${errors.map(e => html`<li>${e}</li>`)}</ul>` : ''}
+  `;
+}
+
+/**
+ * Show a live strength meter below a new-password input
+ */
+function attachStrengthMeter(input) {
+  const meter = document.createElement('div');
+  meter.className = 'password-meter';
+  input.after(meter);
+  input.addEventListener('input', () => renderStrengthMeter(meter, input.value));
+  renderStrengthMeter(meter, input.value);
+}
+
 /**
  * Check date overlap for bookings
  */
-function checkOverlap(roomId, startISO, endISO, excludeBookingId = null) {
+function checkOverlap(roomId, startISO, endISO, excludeBookingId = null, bookings = state.bookings) {
   const start = new Date(startISO);
   const end = new Date(endISO);
   if (end <= start) return true;
 
-  return state.bookings.some(b => {
+  return bookings.some(b => {
     if (b.booking_id === excludeBookingId) return false;
     if (b.room_id !== roomId) return false;
-    if (b.status === 'CANCELLED') return false;
+    if (b.status === 'CANCELLED' || b.status === 'NO_SHOW') return false;
     
     const bStart = new Date(b.check_in_date);
     const bEnd = new Date(b.check_out_date);
@@ -87,27 +263,392 @@ function calculateNights(checkIn, checkOut) {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 }
 
+/**
+ * Add a number of days to an ISO date (YYYY-MM-DD)
+ */
+function addDays(dateISO, days) {
+  const date = new Date(dateISO);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/* =========================
+   Pricing Engine
+   ========================= */
+
+const WEEKDAY_LABELS = ['CN', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7'];
+
+/**
+ * Find the rate rule for a room type on a given night.
+ * Highest priority wins; ties go to the most recently created rule.
+ */
+function findRateRule(typeId, dateISO) {
+  const weekday = new Date(dateISO).getUTCDay();
+  
+  const matches = (state.rateRules || []).filter(rule => {
+    if (rule.type_id && rule.type_id !== typeId) return false;
+    if (rule.start_date && dateISO < rule.start_date) return false;
+    if (rule.end_date && dateISO > rule.end_date) return false;
+    if (rule.weekdays.length > 0 && !rule.weekdays.includes(weekday)) return false;
+    return true;
+  });
+  
+  matches.sort((a, b) => (b.priority - a.priority) || (b.rule_id - a.rule_id));
+  return matches[0] || null;
+}
+
+/**
+ * Calculate the room charge night by night
+ * Returns { nights: [{ date, price, rule_name }], total }
+ */
+function calculateRoomPrice(roomType, checkIn, checkOut) {
+  const nights = [];
+  
+  for (let date = checkIn; date < checkOut; date = addDays(date, 1)) {
+    const rule = findRateRule(roomType.type_id, date);
+    let price = roomType.base_price;
+    if (rule) {
+      price = rule.adjustment_type === 'FIXED' ? rule.value : Math.round(roomType.base_price * rule.value);
+    }
+    nights.push({ date, price, rule_name: rule ? rule.name : null });
+  }
+  
+  return { nights, total: nights.reduce((sum, n) => sum + n.price, 0) };
+}
+
+/**
+ * Compact breakdown: nights grouped by price and rule
+ */
+function renderPriceBreakdown(nights) {
+  const groups = [];
+  nights.forEach(night => {
+    const group = groups.find(g => g.price === night.price && g.rule_name === night.rule_name);
+    if (group) group.count++;
+    else groups.push({ price: night.price, rule_name: night.rule_name, count: 1 });
+  });
+  
+  return html`${groups.map(g => html`
+    <div>${formatMoney(g.price)} x ${g.count} đêm${g.rule_name ? html` <small>(${g.rule_name})</small>` : ''}</div>
+  `)}`;
+}
+
+/**
+ * Detailed breakdown: one line per night
+ */
+function renderNightlyRates(nights) {
+  return html`
+    <ul class="nightly-rates">
+      ${nights.map(night => html`
+        <li>
+          <span>${WEEKDAY_LABELS[new Date(night.date).getUTCDay()]} ${night.date}${night.rule_name ? html` <small>(${night.rule_name})</small>` : ''}</span>
+          <span>${formatMoney(night.price)}</span>
+        </li>
+      `)}
+    </ul>
+  `;
+}
+
+/* =========================
+   Taxes & Service Charge
+   ========================= */
+
+const TAX_CATEGORIES = {
+  room: 'Tiền phòng',
+  service: 'Dịch vụ'
+};
+
+/**
+ * Split room and service amounts into subtotal, tax lines and grand total.
+ * Taxes apply in order; a compound tax is also charged on the taxes before it
+ * (e.g. VAT on top of the service charge). With tax-inclusive prices the
+ * taxes are backed out of the amounts instead of added on top.
+ * A discount comes off the room amount before taxes.
+ */
+function calculateTotals(roomAmount, servicesAmount, discount = 0) {
+  const { taxes, prices_include_tax } = state.settings;
+  const activeTaxes = taxes.filter(t => t.active);
+  const amounts = { room: roomAmount - discount, service: servicesAmount };
+  
+  const net = {};
+  Object.keys(amounts).forEach(category => {
+    let taxShare = 0;
+    if (prices_include_tax) {
+      activeTaxes.forEach(tax => {
+        if (!tax.applies_to.includes(category)) return;
+        taxShare += tax.rate / 100 * (tax.compound ? 1 + taxShare : 1);
+      });
+    }
+    net[category] = amounts[category] / (1 + taxShare);
+  });
+  
+  const accrued = { room: 0, service: 0 };
+  const taxLines = activeTaxes.map(tax => {
+    let amount = 0;
+    tax.applies_to.forEach(category => {
+      const part = (net[category] + (tax.compound ? accrued[category] : 0)) * tax.rate / 100;
+      accrued[category] += part;
+      amount += part;
+    });
+    return { name: tax.name, rate: tax.rate, amount: Math.round(amount) };
+  });
+  
+  const taxTotal = taxLines.reduce((sum, t) => sum + t.amount, 0);
+  const gross = amounts.room + amounts.service;
+  
+  return {
+    subtotal: prices_include_tax ? gross - taxTotal : gross,
+    taxLines: taxLines,
+    total: prices_include_tax ? gross : gross + taxTotal,
+    prices_include_tax: prices_include_tax,
+    discount: discount
+  };
+}
+
+/**
+ * Totals as stored on a booking; older bookings have no tax breakdown
+ */
+function getBookingTotals(booking) {
+  return {
+    subtotal: booking.subtotal ?? booking.total_amount,
+    taxLines: booking.tax_lines || [],
+    total: booking.total_amount,
+    prices_include_tax: !!booking.prices_include_tax,
+    discount: booking.discount_amount || 0,
+    promo_code: booking.promotion ? booking.promotion.code : null
+  };
+}
+
+function renderTotalsBreakdown(totals) {
+  return html`
+    ${totals.discount > 0 ? html`
+      <div class="total-row discount"><span>Giảm giá${totals.promo_code ? ` (${totals.promo_code})` : ''}</span><span>-${formatMoney(totals.discount)}</span></div>
+    ` : ''}
+    <div class="total-row"><span>Tạm tính${totals.prices_include_tax ? ' (chưa gồm thuế)' : ''}</span><span>${formatMoney(totals.subtotal)}</span></div>
+    ${totals.taxLines.map(tax => html`
+      <div class="total-row"><span>${tax.name} (${tax.rate}%)</span><span>${formatMoney(tax.amount)}</span></div>
+    `)}
+    <div class="total-row grand"><span>Tổng cộng</span><span>${formatMoney(totals.total)}</span></div>
+  `;
+}
+
+/**
+ * Add up the totals of several bookings, merging identical tax lines
+ */
+function combineTotals(totalsList) {
+  const taxLines = [];
+  totalsList.forEach(totals => totals.taxLines.forEach(line => {
+    const same = taxLines.find(l => l.name === line.name && l.rate === line.rate);
+    if (same) same.amount += line.amount;
+    else taxLines.push({ ...line });
+  }));
+  
+  return {
+    subtotal: totalsList.reduce((sum, t) => sum + t.subtotal, 0),
+    taxLines: taxLines,
+    total: totalsList.reduce((sum, t) => sum + t.total, 0),
+    prices_include_tax: totalsList.some(t => t.prices_include_tax),
+    discount: totalsList.reduce((sum, t) => sum + (t.discount || 0), 0)
+  };
+}
+
+/* =========================
+   Permissions
+   ========================= */
+
+/**
+ * Default permissions per role name
+ * Used to seed state.roles and for roles saved before permissions existed
+ */
+const ROLE_PERMISSIONS = {
+  Admin: ['*'],
+  Manager: [
+    'rooms:read', 'rooms:write', 'roomTypes:write', 'rates:write',
+    'services:read', 'services:write',
+    'bookings:create', 'bookings:read', 'bookings:write',
+    'payments:read', 'payments:write', 'payments:refund',
+    'reports:read'
+  ],
+  Staff: [
+    'rooms:read', 'rooms:write',
+    'services:read', 'services:write',
+    'bookings:create', 'bookings:read', 'bookings:write',
+    'payments:read', 'payments:write'
+  ],
+  Customer: ['bookings:create', 'bookings:cancel', 'bookings:modify']
+};
+
+/**
+ * Permission needed to open each management section
+ */
+const SECTION_PERMISSIONS = {
+  'rooms': 'rooms:read',
+  'room-types': 'roomTypes:write',
+  'rate-rules': 'rates:write',
+  'cancellation-policies': 'rates:write',
+  'promotions': 'rates:write',
+  'taxes': 'rates:write',
+  'services': 'services:read',
+  'bookings': 'bookings:read',
+  'frontdesk': 'bookings:write',
+  'tape-chart': 'bookings:read',
+  'invoice': 'bookings:read',
+  'users': 'users:read',
+  'payments': 'payments:read',
+  'reports': 'reports:read',
+  'audit-log': 'audit:read',
+  'system': 'system:manage'
+};
+
+/**
+ * Permissions granted to the current user, looked up fresh from state.roles
+ */
+function getCurrentPermissions() {
+  if (!state.currentUser) return [];
+  const user = state.users.find(u => u.user_id === state.currentUser.user_id);
+  if (!user) return [];
+  const role = state.roles.find(r => r.role_id === user.role_id);
+  if (!role) return [];
+  return role.permissions || ROLE_PERMISSIONS[role.role_name] || [];
+}
+
+function hasPermission(permission) {
+  const permissions = getCurrentPermissions();
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+/**
+ * Guard for mutating actions: shows a message and returns false when denied
+ */
+function requirePermission(permission) {
+  if (hasPermission(permission)) return true;
+  alert('Bạn không có quyền thực hiện thao tác này');
+  return false;
+}
+
+/* =========================
+   Booking Status Lifecycle
+   ========================= */
+
+/**
+ * Allowed booking status transitions
+ * PENDING → CONFIRMED → CHECKED_IN → CHECKED_OUT, with CANCELLED / NO_SHOW as terminal branches
+ */
+const BOOKING_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['CHECKED_IN', 'CANCELLED', 'NO_SHOW'],
+  CHECKED_IN: ['CHECKED_OUT'],
+  CHECKED_OUT: [],
+  CANCELLED: [],
+  NO_SHOW: []
+};
+
+const BOOKING_STATUS_LABELS = {
+  PENDING: 'Chờ xác nhận',
+  CONFIRMED: 'Đã xác nhận',
+  CHECKED_IN: 'Đã nhận phòng',
+  CHECKED_OUT: 'Đã trả phòng',
+  CANCELLED: 'Đã hủy',
+  NO_SHOW: 'Không đến'
+};
+
+function canTransition(booking, toStatus) {
+  return (BOOKING_TRANSITIONS[booking.status] || []).includes(toStatus);
+}
+
+/**
+ * Status history entry with timestamp and acting user
+ */
+function statusHistoryEntry(fromStatus, toStatus) {
+  return {
+    from: fromStatus,
+    to: toStatus,
+    changed_at: new Date().toISOString(),
+    changed_by: state.currentUser ? state.currentUser.user_id : null
+  };
+}
+
+/**
+ * Move a booking to a new status
+ * Returns false and shows a message when the transition is not allowed
+ */
+function transitionBooking(booking, toStatus) {
+  if (booking.status === toStatus) return true;
+  
+  if (!canTransition(booking, toStatus)) {
+    alert(`Không thể chuyển đơn #${booking.booking_id} từ "${BOOKING_STATUS_LABELS[booking.status]}" sang "${BOOKING_STATUS_LABELS[toStatus]}"`);
+    return false;
+  }
+  
+  updateRecord('bookings', booking.booking_id, {
+    status: toStatus,
+    status_history: [...(booking.status_history || []), statusHistoryEntry(booking.status, toStatus)]
+  });
+  syncRoomStatus(booking);
+  return true;
+}
+
+/**
+ * Keep the room status in step with the booking lifecycle
+ * The status is the room's state today; availability by date comes from checkOverlap.
+ */
+function syncRoomStatus(booking) {
+  const room = state.rooms.find(r => r.room_id === booking.room_id);
+  if (!room) return;
+  
+  if (booking.status === 'CHECKED_IN') {
+    updateRecord('rooms', room.room_id, { status: 'Occupied' });
+  } else if (booking.status === 'CHECKED_OUT') {
+    updateRecord('rooms', room.room_id, { status: 'Cleaning' });
+  }
+}
+
+function renderStatusHistory(booking) {
+  if (!booking.status_history || booking.status_history.length === 0) return '';
+  
+  return html`
+    <h4>Lịch sử trạng thái:</h4>
+    <ul class="status-history">
+      ${booking.status_history.map(entry => {
+        const user = state.users.find(u => u.user_id === entry.changed_by);
+        return html`
+          <li>
+            <span>${new Date(entry.changed_at).toLocaleString('vi-VN')}</span>
+            <span>${entry.from ? `${BOOKING_STATUS_LABELS[entry.from]} → ` : ''}${BOOKING_STATUS_LABELS[entry.to]}</span>
+            <span>${user ? user.full_name : 'Hệ thống'}</span>
+          </li>
+        `;
+      })}
+    </ul>
+  `;
+}
+
 /* =========================
    Sample Data
    ========================= */
 
 const sampleData = {
+  schema_version: SCHEMA_VERSION,
   roles: [
-    { role_id: 1, role_name: "Admin", description: "Quản trị hệ thống" },
-    { role_id: 2, role_name: "Manager", description: "Quản lý khách sạn" },
-    { role_id: 3, role_name: "Staff", description: "Nhân viên lễ tân" },
-    { role_id: 4, role_name: "Customer", description: "Khách hàng" }
+    { role_id: 1, role_name: "Admin", description: "Quản trị hệ thống", permissions: ROLE_PERMISSIONS.Admin },
+    { role_id: 2, role_name: "Manager", description: "Quản lý khách sạn", permissions: ROLE_PERMISSIONS.Manager },
+    { role_id: 3, role_name: "Staff", description: "Nhân viên lễ tân", permissions: ROLE_PERMISSIONS.Staff },
+    { role_id: 4, role_name: "Customer", description: "Khách hàng", permissions: ROLE_PERMISSIONS.Customer }
   ],
   users: [
-    { user_id: 1, full_name: "Nguyễn Văn Admin", email: "admin@hotel.com", phone: "0901234567", address: "Hà Nội", role_id: 1, password_hash: simpleHash("admin123") },
-    { user_id: 2, full_name: "Trần Thị Manager", email: "manager@hotel.com", phone: "0912345678", address: "Hà Nội", role_id: 2, password_hash: simpleHash("manager123") },
-    { user_id: 3, full_name: "Lê Văn Staff", email: "staff@hotel.com", phone: "0923456789", address: "Hà Nội", role_id: 3, password_hash: simpleHash("staff123") },
-    { user_id: 4, full_name: "Nguyễn Văn Khách", email: "customer@email.com", phone: "0934567890", address: "Hà Nội", role_id: 4, password_hash: simpleHash("123456") }
+    { user_id: 1, full_name: "Nguyễn Văn Admin", email: "admin@hotel.com", phone: "0901234567", address: "Hà Nội", role_id: 1, password_hash: "3c9a98d6b57c693ade9fbccf48e97a09f3adb7fec99ee599f5b930d669052ad4", password_salt: "0a938bfbcd50864c1f8ec095a3f9e554", password_iterations: 600000 },
+    { user_id: 2, full_name: "Trần Thị Manager", email: "manager@hotel.com", phone: "0912345678", address: "Hà Nội", role_id: 2, password_hash: "21cab131456463ffc6310b98f35d2a3e3944375e126aba67e3955fa7b2017919", password_salt: "6da17ade8725417a0a2c0bb76f2f6b5f", password_iterations: 600000 },
+    { user_id: 3, full_name: "Lê Văn Staff", email: "staff@hotel.com", phone: "0923456789", address: "Hà Nội", role_id: 3, password_hash: "a0c77b564e2080f61c247de049d2da7c26e9e5a99d6ddff548a62c068aa586ee", password_salt: "34676708a3908b77019e35ec0fb1a634", password_iterations: 600000 },
+    { user_id: 4, full_name: "Nguyễn Văn Khách", email: "customer@email.com", phone: "0934567890", address: "Hà Nội", role_id: 4, password_hash: "de9f961eef675efee5fd61e42b461d14b11831c7ec3f277037245bde3fbd3893", password_salt: "f60e753d0feb311e4dcac10ce2a60c18", password_iterations: 600000 }
+  ],
+  cancellationPolicies: [
+    { policy_id: 1, name: "Linh hoạt", free_days: 1, penalty_type: "FIRST_NIGHT", penalty_value: 0 },
+    { policy_id: 2, name: "Tiêu chuẩn", free_days: 7, penalty_type: "PERCENT", penalty_value: 50 },
+    { policy_id: 3, name: "Không hoàn tiền", free_days: 0, penalty_type: "NON_REFUNDABLE", penalty_value: 0 }
   ],
   roomTypes: [
-    { type_id: 1, name: "Phòng Standard", description: "Phòng tiêu chuẩn", capacity: 2, base_price: 500000 },
-    { type_id: 2, name: "Phòng Deluxe", description: "Phòng cao cấp", capacity: 4, base_price: 800000 },
-    { type_id: 3, name: "Phòng Suite", description: "Phòng hạng sang", capacity: 3, base_price: 1200000 }
+    { type_id: 1, name: "Phòng Standard", description: "Phòng tiêu chuẩn", capacity: 2, base_price: 500000, policy_id: 1 },
+    { type_id: 2, name: "Phòng Deluxe", description: "Phòng cao cấp", capacity: 4, base_price: 800000, policy_id: 1 },
+    { type_id: 3, name: "Phòng Suite", description: "Phòng hạng sang", capacity: 3, base_price: 1200000, policy_id: 2 }
   ],
   rooms: [
     { room_id: 1, type_id: 1, room_number: "101", status: "Available", features: "TV, WiFi, Điều hòa" },
@@ -122,6 +663,15 @@ const sampleData = {
     { service_id: 3, name: "Spa", description: "Dịch vụ spa và massage", price: 500000 },
     { service_id: 4, name: "Giặt ủi", description: "Dịch vụ giặt ủi", price: 80000 }
   ],
+  promotions: [
+    { promo_id: 1, code: "WELCOME10", description: "Giảm 10% tiền phòng cho lần đặt đầu tiên", discount_type: "PERCENT", value: 10, min_nights: 1, start_date: "", end_date: "", max_uses: 0, max_uses_per_user: 1, type_ids: [], active: true }
+  ],
+  rateRules: [
+    { rule_id: 1, name: "Cuối tuần", type_id: null, start_date: "", end_date: "", weekdays: [5, 6], adjustment_type: "MULTIPLIER", value: 1.2, priority: 1 },
+    { rule_id: 2, name: "Hè cao điểm", type_id: null, start_date: "2026-06-01", end_date: "2026-08-31", weekdays: [], adjustment_type: "MULTIPLIER", value: 1.3, priority: 2 },
+    { rule_id: 3, name: "Tết Nguyên Đán", type_id: null, start_date: "2027-02-03", end_date: "2027-02-10", weekdays: [], adjustment_type: "MULTIPLIER", value: 1.5, priority: 3, policy_id: 3 },
+    { rule_id: 4, name: "Suite Tết", type_id: 3, start_date: "2027-02-03", end_date: "2027-02-10", weekdays: [], adjustment_type: "FIXED", value: 2000000, priority: 4, policy_id: 3 }
+  ],
   bookings: [
     { booking_id: 1, user_id: 4, room_id: 1, check_in_date: "2025-10-05", check_out_date: "2025-10-07", number_of_guests: 2, status: "CONFIRMED", total_amount: 1000000 }
   ],
@@ -129,1195 +679,6658 @@ const sampleData = {
     { booking_service_id: 1, booking_id: 1, service_id: 1, quantity: 2, price: 200000 }
   ],
   payments: [
-    { payment_id: 1, booking_id: 1, amount: 1000000, payment_method: "Credit Card", payment_date: "2025-10-02", status: "PAID" }
+    { payment_id: 1, booking_id: 1, amount: 1000000, payment_method: "Credit Card", payment_date: "2025-10-02", status: "PAID", payment_type: "SETTLEMENT" }
   ],
+  reservations: [],
+  invoices: [],
+  auditLog: [],
+  settings: {
+    prices_include_tax: false,
+    taxes: [
+      { tax_id: 1, name: "Phí phục vụ", rate: 5, applies_to: ["room", "service"], compound: false, active: true },
+      { tax_id: 2, name: "Thuế GTGT", rate: 8, applies_to: ["room", "service"], compound: true, active: true }
+    ],
+    password_policy: {
+      min_length: 8,
+      required_classes: ["lowercase", "digit"],
+      blocklist: ["12345678", "123456789", "password", "password1", "matkhau", "matkhau123", "qwerty123", "abc12345", "admin123", "hotel123"]
+    }
+  },
   currentUser: null
 };
 
 /**
- * Load data from localStorage or initialize with sample data
+ * Add collections introduced after the data was first saved
  */
-function loadData() {
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(sampleData));
-    return JSON.parse(JSON.stringify(sampleData));
-  }
-  try {
-    return JSON.parse(raw);
-  } catch (ex) {
-    console.error("Invalid storage data, resetting.", ex);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(sampleData));
-    return JSON.parse(JSON.stringify(sampleData));
+function ensureCollections(data) {
+  Object.keys(sampleData).forEach(key => {
+    if (data[key] === undefined) {
+      data[key] = Array.isArray(sampleData[key]) ? [] : JSON.parse(JSON.stringify(sampleData[key]));
+    }
+  });
+  return data;
+}
+
+/* =========================
+   Schema Migrations
+   ========================= */
+
+// Data saved before schema_version existed; older keys map to their own version
+const LEGACY_SCHEMA_VERSION = 3;
+const LEGACY_STORAGE_KEYS = [
+  { key: "hbs_data_v2", version: 2 },
+  { key: "hbs_data_v1", version: 1 }
+];
+const LEGACY_REST_SESSION_KEY = "hbs_rest_session";
+
+/**
+ * Ordered upgrade steps; each one brings data up to its version
+ */
+const MIGRATIONS = [
+  {
+    version: 3,
+    description: 'Chuyển dữ liệu từ khóa hbs_data_v1/v2',
+    migrate(data) {
+      ['roles', 'users', 'roomTypes', 'rooms', 'services', 'bookings', 'bookingServices', 'payments'].forEach(key => {
+        if (data[key] === undefined) data[key] = [];
+      });
+      // Sessions from old versions hold a stale copy of the user
+      data.currentUser = null;
+    }
+  },
+  {
+    version: 4,
+    description: 'Bổ sung quyền cho vai trò, loại thanh toán và lịch sử trạng thái',
+    migrate(data) {
+      (data.roles || []).forEach(role => {
+        if (!role.permissions) role.permissions = [...(ROLE_PERMISSIONS[role.role_name] || [])];
+      });
+      (data.payments || []).forEach(payment => {
+        if (!payment.payment_type) payment.payment_type = payment.amount < 0 ? 'REFUND' : 'SETTLEMENT';
+      });
+      (data.bookings || []).forEach(booking => {
+        if (!booking.status_history) booking.status_history = [];
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Cho phép Manager xem báo cáo',
+    migrate(data) {
+      (data.roles || []).forEach(role => {
+        if (role.role_name === 'Manager' && !role.permissions.includes('reports:read')) {
+          role.permissions.push('reports:read');
+        }
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Cho phép khách hàng thay đổi đơn đặt',
+    migrate(data) {
+      (data.roles || []).forEach(role => {
+        if (role.role_name === 'Customer' && !role.permissions.includes('bookings:modify')) {
+          role.permissions.push('bookings:modify');
+        }
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Thêm chính sách hủy mặc định',
+    migrate(data) {
+      // Existing room types keep free cancellation until a policy is assigned
+      if (data.cancellationPolicies === undefined) {
+        data.cancellationPolicies = JSON.parse(JSON.stringify(sampleData.cancellationPolicies));
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Tách phiên đăng nhập khỏi dữ liệu',
+    migrate(data) {
+      // Sessions used to keep the whole user record, password hash included
+      data.currentUser = null;
+      localStorage.removeItem(LEGACY_REST_SESSION_KEY);
+    }
+  },
+  {
+    version: 9,
+    description: 'Thêm chính sách mật khẩu',
+    migrate(data) {
+      if (isPlainObject(data.settings) && !data.settings.password_policy) {
+        data.settings.password_policy = JSON.parse(JSON.stringify(sampleData.settings.password_policy));
+      }
+    }
   }
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
 /**
- * Save data to localStorage
+ * Upgrade loaded data in place to SCHEMA_VERSION
  */
-function saveData(data) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+function migrateData(data) {
+  if (!isPlainObject(data)) {
+    throw new Error('Dữ liệu không phải là đối tượng JSON');
+  }
+  
+  const version = data.schema_version || LEGACY_SCHEMA_VERSION;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Dữ liệu thuộc phiên bản mới hơn (v${version})`);
+  }
+  
+  MIGRATIONS.filter(m => m.version > version).forEach(m => {
+    try {
+      m.migrate(data);
+    } catch (ex) {
+      throw new Error(`Không thể nâng cấp dữ liệu lên v${m.version}: ${ex.message}`);
+    }
+    data.schema_version = m.version;
+  });
+  return ensureCollections(data);
 }
 
-/* =========================
-   App State
-   ========================= */
+/**
+ * Check the shape of migrated data; returns a list of problems
+ */
+function validateData(data) {
+  const problems = [];
+  
+  Object.entries(PRIMARY_KEYS).forEach(([collection, key]) => {
+    const records = data[collection];
+    if (!Array.isArray(records)) {
+      problems.push(`"${collection}" không phải là danh sách`);
+      return;
+    }
+    records.forEach((record, index) => {
+      if (!isPlainObject(record) || !Number.isInteger(record[key])) {
+        problems.push(`${collection}[${index}] thiếu hoặc sai ${key}`);
+      }
+    });
+  });
+  
+  if (!isPlainObject(data.settings) || !Array.isArray(data.settings.taxes)) {
+    problems.push('"settings" không hợp lệ');
+  }
+  if (data.currentUser !== null && !isPlainObject(data.currentUser)) {
+    problems.push('"currentUser" không hợp lệ');
+  }
+  return problems;
+}
 
-let state = loadData();
+function quarantineStamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
 
 /* =========================
-   Authentication System
+   Storage Adapters
    ========================= */
 
-function showLoginScreen() {
-  document.getElementById('login-screen').classList.remove('hidden');
-  document.getElementById('register-screen').classList.add('hidden');
-  document.getElementById('main-app').classList.add('hidden');
-  state.currentUser = null;
-  saveData(state);
+/*
+ * Every adapter implements the same asynchronous interface:
+ *   load()                          -> data snapshot, or null when empty
+ *   saveAll(data)                   -> replace everything
+ *   insert(collection, record)
+ *   update(collection, id, record)
+ *   remove(collection, id)
+ *   saveSettings(settings)
+ *   quarantine()                    -> move unreadable data aside; returns where it went
+ * `shared` adapters may be changed by other clients and are re-read on navigation.
+ * The login session is not part of the data; see Sessions.
+ */
+
+const STORAGE_CONFIG_KEY = "hbs_storage_backend";
+
+/**
+ * Adapter for stores that can only write a whole snapshot at once
+ */
+function createSnapshotAdapter(name, load, save, quarantine) {
+  const saveAll = ({ currentUser, ...data }) => save(data);
+  const saveState = () => saveAll(state);
+  return {
+    name: name,
+    shared: false,
+    load: load,
+    saveAll: saveAll,
+    insert: saveState,
+    update: saveState,
+    remove: saveState,
+    saveSettings: saveState,
+    quarantine: quarantine
+  };
 }
 
-function showRegisterScreen() {
-  document.getElementById('login-screen').classList.add('hidden');
-  document.getElementById('register-screen').classList.remove('hidden');
+function createLocalStorageAdapter(key = STORAGE_KEY) {
+  // Set while data is read from an older key; removed once saved under the current one
+  let legacyKey = null;
+  
+  return createSnapshotAdapter(
+    'localStorage',
+    async () => {
+      const raw = localStorage.getItem(key);
+      if (raw) return JSON.parse(raw);
+      
+      const legacy = LEGACY_STORAGE_KEYS.find(l => localStorage.getItem(l.key));
+      if (!legacy) return null;
+      legacyKey = legacy.key;
+      const data = JSON.parse(localStorage.getItem(legacy.key));
+      return isPlainObject(data) ? { schema_version: legacy.version, ...data } : data;
+    },
+    async (data) => {
+      localStorage.setItem(key, JSON.stringify(data));
+      if (legacyKey) {
+        localStorage.removeItem(legacyKey);
+        legacyKey = null;
+      }
+    },
+    async () => {
+      const sourceKey = legacyKey || key;
+      const target = `${sourceKey}_quarantine_${quarantineStamp()}`;
+      localStorage.setItem(target, localStorage.getItem(sourceKey));
+      localStorage.removeItem(sourceKey);
+      legacyKey = null;
+      return `localStorage: ${target}`;
+    }
+  );
 }
 
-function showMainApp() {
-  document.getElementById('login-screen').classList.add('hidden');
-  document.getElementById('register-screen').classList.add('hidden');
-  document.getElementById('main-app').classList.remove('hidden');
-  updateUIForCurrentUser();
+function createIndexedDBAdapter(dbName = 'hbs_data') {
+  let dbPromise = null;
+  const openDB = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('snapshots');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+  const run = (mode, operation) => openDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction('snapshots', mode);
+    const request = operation(tx.objectStore('snapshots'));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  }));
+  
+  return createSnapshotAdapter(
+    'IndexedDB',
+    async () => (await run('readonly', store => store.get('state'))) || null,
+    (data) => run('readwrite', store => store.put(JSON.parse(JSON.stringify(data)), 'state')),
+    async () => {
+      const target = `quarantine_${quarantineStamp()}`;
+      await run('readwrite', store => {
+        const request = store.get('state');
+        request.onsuccess = () => {
+          store.put(request.result, target);
+          store.delete('state');
+        };
+        return request;
+      });
+      return `IndexedDB ${dbName}: ${target}`;
+    }
+  );
 }
 
-function handleLogin(email, password) {
-  const user = state.users.find(u => u.email === email);
+/**
+ * Adapter for the bundled mock server (mock-server/server.js)
+ * Records are written one by one so several clients can share the data.
+ */
+function createRestAdapter(baseUrl) {
+  const request = async (method, path, body) => {
+    const response = await fetch(baseUrl + path, {
+      method: method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (method === 'GET' && response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`${method} ${path}: ${response.status} ${await response.text()}`);
+    }
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  };
   
-  if (!user) {
-    alert("Email không tồn tại trong hệ thống");
-    return false;
+  return {
+    name: 'REST',
+    shared: true,
+    load: () => request('GET', '/data'),
+    saveAll: ({ currentUser, ...data }) => request('PUT', '/data', data),
+    insert: (collection, record) => request('POST', `/${collection}`, record),
+    update: (collection, id, record) => request('PUT', `/${collection}/${id}`, record),
+    remove: (collection, id) => request('DELETE', `/${collection}/${id}`),
+    saveSettings: (settings) => request('PUT', '/settings', settings),
+    async quarantine() {
+      const result = await request('POST', '/quarantine');
+      return `${baseUrl}: ${result.file}`;
+    }
+  };
+}
+
+function defaultRestUrl() {
+  return location.protocol.startsWith('http') ? `${location.origin}/api` : 'http://localhost:3001/api';
+}
+
+function getStorageConfig() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_CONFIG_KEY)) || { type: 'localStorage' };
+  } catch (ex) {
+    return { type: 'localStorage' };
   }
-  
-  if (user.password_hash !== simpleHash(password)) {
-    alert("Mật khẩu không chính xác");
-    return false;
+}
+
+function createStorageAdapter(config) {
+  switch (config.type) {
+    case 'indexedDB':
+      return createIndexedDBAdapter();
+    case 'rest':
+      return createRestAdapter(config.url || defaultRestUrl());
+    default:
+      return createLocalStorageAdapter();
   }
-  
-  state.currentUser = user;
-  saveData(state);
-  showMainApp();
-  return true;
 }
 
-function handleRegister(userData) {
-  const { name, email, phone, address, password, confirm } = userData;
+/**
+ * Load data through the storage adapter or initialize with sample data
+ * Returns null when the app must not start: the data belongs to a newer
+ * version, or shared data is invalid and other clients still rely on it.
+ */
+async function loadData() {
+  let data = null;
+  let problems = [];
+  try {
+    data = await storage.load();
+  } catch (ex) {
+    if (!(ex instanceof SyntaxError)) throw ex;
+    problems = [`JSON không hợp lệ: ${ex.message}`];
+  }
   
-  if (password !== confirm) {
-    alert("Mật khẩu xác nhận không khớp");
-    return false;
+  if (isPlainObject(data) && data.schema_version > SCHEMA_VERSION) {
+    showStartupError(`Dữ liệu trong ${storage.name} thuộc phiên bản mới hơn (v${data.schema_version}) so với ứng dụng này (v${SCHEMA_VERSION}). Hãy cập nhật ứng dụng; dữ liệu không bị thay đổi.`);
+    return null;
   }
   
-  if (state.users.find(u => u.email === email)) {
-    alert("Email đã tồn tại trong hệ thống");
-    return false;
+  if (data) {
+    const version = data.schema_version;
+    try {
+      migrateData(data);
+      problems = validateData(data);
+    } catch (ex) {
+      problems = [ex.message];
+    }
+    
+    if (problems.length === 0) {
+      if (data.schema_version !== version) await storage.saveAll(data);
+      return data;
+    }
   }
   
-  const newId = generateId(state.users);
-  const newUser = {
-    user_id: newId,
-    full_name: name,
-    email: email,
-    phone: phone,
-    address: address,
-    role_id: 4,
-    password_hash: simpleHash(password)
-  };
+  // Shared data is left for an administrator to repair
+  if (problems.length > 0 && storage.shared) {
+    console.error("Shared storage data is invalid.", problems);
+    showStartupError(`Dữ liệu trong ${storage.name} bị lỗi và chưa được thay đổi:\n- ${problems.join('\n- ')}\n\nHãy khôi phục dữ liệu trên máy chủ trước khi sử dụng.`);
+    return null;
+  }
   
-  state.users.push(newUser);
-  saveData(state);
+  // Keep corrupted data aside instead of overwriting it
+  if (problems.length > 0) {
+    const location = await storage.quarantine();
+    console.error("Storage data quarantined.", location, problems);
+    alert(`Dữ liệu lưu trữ bị lỗi và đã được cách ly tại ${location}:\n- ${problems.join('\n- ')}\n\nỨng dụng sẽ khởi tạo lại dữ liệu mẫu.`);
+  }
   
-  alert("Đăng ký thành công! Vui lòng đăng nhập.");
-  showLoginScreen();
-  return true;
+  data = JSON.parse(JSON.stringify(sampleData));
+  await storage.saveAll(data);
+  return data;
 }
 
-function handleLogout() {
-  if (confirm("Bạn có chắc chắn muốn đăng xuất?")) {
-    showLoginScreen();
-  }
+/**
+ * Replace the login form with a message when the data cannot be used
+ */
+function showStartupError(message) {
+  console.error(message);
+  document.querySelector('#login-screen .login-right').innerHTML = html`
+    <h2>Không thể khởi động</h2>
+    <p class="account-notice startup-error">${message}</p>
+  `;
 }
 
 /* =========================
-   UI Management
+   App State
    ========================= */
 
-function updateUIForCurrentUser() {
-  const currentUser = state.currentUser;
-  if (!currentUser) return;
-  
-  const userRole = state.roles.find(r => r.role_id === currentUser.role_id);
-  
-  document.getElementById('current-user').textContent = `Xin chào, ${currentUser.full_name}`;
-  document.getElementById('user-role').textContent = userRole.role_name;
-  document.getElementById('welcome-message').textContent = 
-    `Chào mừng ${currentUser.full_name} đến với hệ thống đặt phòng khách sạn`;
-  
-  applyUIRestrictions(userRole);
-  renderDashboard();
+let storage = null;
+let state = null;
+
+/* =========================
+   Data Access
+   ========================= */
+
+const PRIMARY_KEYS = {
+  roles: 'role_id',
+  users: 'user_id',
+  cancellationPolicies: 'policy_id',
+  roomTypes: 'type_id',
+  rooms: 'room_id',
+  rateRules: 'rule_id',
+  services: 'service_id',
+  promotions: 'promo_id',
+  reservations: 'reservation_id',
+  bookings: 'booking_id',
+  bookingServices: 'booking_service_id',
+  payments: 'payment_id',
+  invoices: 'invoice_id',
+  auditLog: 'audit_id'
+};
+
+let storageQueue = Promise.resolve();
+
+/**
+ * Queue a write to the storage adapter; writes run in order
+ * Other tabs are told through DATA_SYNC_KEY once the write is done.
+ */
+function persist(operation) {
+  storageQueue = storageQueue.then(operation).then(announceDataChange).catch(ex => {
+    console.error("Storage write failed.", ex);
+    alert(`Không thể lưu dữ liệu (${storage.name}): ${ex.message}`);
+  });
+  return storageQueue;
 }
 
-function applyUIRestrictions(userRole) {
-  const roleName = userRole.role_name;
-  
-  document.querySelectorAll('[data-role]').forEach(el => {
-    el.style.display = 'none';
+function findRecord(collection, id) {
+  const key = PRIMARY_KEYS[collection];
+  return state[collection].find(r => r[key] === id);
+}
+
+/**
+ * Add a record, assigning the next id of its collection
+ * Shared storage assigns the final id; the record is rolled back if it is not saved.
+ */
+function insertRecord(collection, fields) {
+  const key = PRIMARY_KEYS[collection];
+  const record = { [key]: generateId(state[collection], key), ...fields };
+  saveNewRecord(collection, record);
+  recordAudit('CREATE', collection, record[key], {}, record);
+  return record;
+}
+
+function saveNewRecord(collection, record) {
+  const key = PRIMARY_KEYS[collection];
+  state[collection].push(record);
+  persist(async () => {
+    let saved;
+    try {
+      saved = await storage.insert(collection, record);
+    } catch (ex) {
+      state[collection] = state[collection].filter(r => r !== record);
+      throw ex;
+    }
+    if (saved && saved[key] !== record[key]) adoptRecordId(collection, record, saved[key]);
   });
+}
+
+/**
+ * Give a local record the id storage assigned and rewrite every reference to it
+ * A pending local record already holding that id is moved out of the way first.
+ */
+function adoptRecordId(collection, record, newId) {
+  const key = PRIMARY_KEYS[collection];
+  const oldId = record[key];
+  const holder = state[collection].find(r => r !== record && r[key] === newId);
+  if (holder) adoptRecordId(collection, holder, generateId(state[collection], key));
   
-  if (roleName === 'Admin') {
-    document.querySelectorAll('[data-role]').forEach(el => {
-      el.style.display = '';
-    });
-  } else if (roleName === 'Manager') {
-    document.querySelectorAll('[data-role="staff"], [data-role="manager"]').forEach(el => {
-      el.style.display = '';
+  record[key] = newId;
+  Object.entries(FOREIGN_KEYS).forEach(([source, fields]) => {
+    Object.entries(fields).forEach(([field, target]) => {
+      if (target !== collection) return;
+      state[source].forEach(r => {
+        if (r[field] === oldId) r[field] = newId;
+      });
     });
-  } else if (roleName === 'Staff') {
-    document.querySelectorAll('[data-role="staff"]').forEach(el => {
-      el.style.display = '';
+  });
+  if (collection === 'users') {
+    state.bookings.forEach(b => (b.status_history || []).forEach(entry => {
+      if (entry.changed_by === oldId) entry.changed_by = newId;
+    }));
+  }
+  if (collection === 'promotions') {
+    state.bookings.forEach(b => {
+      if (b.promotion && b.promotion.promo_id === oldId) b.promotion.promo_id = newId;
     });
   }
+  state.auditLog.forEach(entry => {
+    if (entry.entity !== collection || entry.entity_id !== oldId) return;
+    entry.entity_id = newId;
+    if (entry.action === 'CREATE' && entry.changes[key]) entry.changes[key][1] = newId;
+  });
 }
 
-function setActiveSection(id) {
-  document.querySelectorAll(".section").forEach(s => s.classList.add("hidden"));
-  const el = document.getElementById(id);
-  if (el) el.classList.remove("hidden");
+// Ids are read when the write runs, after any id adopted from storage
+function updateRecord(collection, id, changes) {
+  const key = PRIMARY_KEYS[collection];
+  const record = findRecord(collection, id);
+  const before = JSON.parse(JSON.stringify(record));
+  Object.assign(record, changes);
+  persist(() => storage.update(collection, record[key], record));
+  recordAudit('UPDATE', collection, id, before, record);
+  return record;
+}
 
-  document.querySelectorAll(".nav-btn").forEach(b => b.classList.remove("active"));
-  document.querySelector(`.nav-btn[data-section="${id}"]`)?.classList.add("active");
-  
-  // Render section-specific content
-  switch(id) {
-    case 'dashboard':
-      renderDashboard();
-      break;
-    case 'booking':
-      renderBookingSection();
-      break;
-    case 'my-bookings':
-      renderMyBookings();
-      break;
-    case 'rooms':
-      renderRooms();
-      break;
-    case 'services':
-      renderServices();
-      break;
-    case 'bookings':
-      renderBookings();
-      break;
-    case 'users':
-      renderUsers();
-      break;
-    case 'payments':
-      renderPayments();
-      break;
-  }
+function removeRecord(collection, id) {
+  const key = PRIMARY_KEYS[collection];
+  const before = findRecord(collection, id);
+  state[collection] = state[collection].filter(r => r[key] !== id);
+  persist(() => storage.remove(collection, before ? before[key] : id));
+  if (before) recordAudit('DELETE', collection, id, before, {});
+}
+
+function updateSettings(changes) {
+  const before = state.settings;
+  state.settings = { ...state.settings, ...changes };
+  persist(() => storage.saveSettings(state.settings));
+  recordAudit('UPDATE', 'settings', null, before, state.settings);
 }
 
 /* =========================
-   Dashboard
+   Audit Trail
    ========================= */
 
-function renderDashboard() {
-  const currentUser = state.currentUser;
-  const userRole = state.roles.find(r => r.role_id === currentUser.role_id);
-  
-  // Update stats
-  const availableRooms = state.rooms.filter(r => r.status === 'Available').length;
-  const myBookings = state.bookings.filter(b => b.user_id === currentUser.user_id).length;
-  const totalBookings = state.bookings.length;
-  const pendingPayments = state.payments.filter(p => p.status === 'PENDING').length;
-  
-  document.getElementById('stat-available-rooms').textContent = availableRooms;
-  document.getElementById('stat-my-bookings').textContent = myBookings;
-  document.getElementById('stat-total-bookings').textContent = totalBookings;
-  document.getElementById('stat-pending-payments').textContent = pendingPayments;
-  
-  // Show/hide sections based on role
-  if (userRole.role_name === 'Customer') {
-    renderFeaturedRooms();
-    document.getElementById('quick-actions').style.display = 'none';
-  } else {
-    document.getElementById('featured-rooms').style.display = 'none';
-    document.getElementById('quick-actions').style.display = 'block';
-  }
+// Never copied into the audit log
+const AUDIT_REDACTED_FIELDS = ['password_hash', 'password_salt', 'password_reset'];
+// Entries kept in browser storage, which has a small quota; shared storage keeps them all.
+// Past the limit the oldest half is dropped, but only entries an admin has exported.
+const AUDIT_LOG_LOCAL_LIMIT = 2000;
+
+/**
+ * Changed fields as { field: [before, after] }
+ */
+function diffRecords(before, after) {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+    
+    changes[field] = AUDIT_REDACTED_FIELDS.includes(field) ?
+      [from === null ? null : '***', to === null ? null : '***'] :
+      [JSON.parse(JSON.stringify(from)), JSON.parse(JSON.stringify(to))];
+  });
+  return changes;
 }
 
-function renderFeaturedRooms() {
-  const roomsGrid = document.getElementById('rooms-grid');
-  roomsGrid.innerHTML = '';
+/**
+ * Append an entry to the audit log; entries are only ever added,
+ * except for exported ones trimmed from browser storage (see trimAuditLog)
+ */
+function recordAudit(action, entity, entityId, before, after) {
+  const changes = diffRecords(before, after);
+  if (Object.keys(changes).length === 0) return;
   
-  const availableRooms = state.rooms.filter(room => room.status === 'Available');
+  if (!storage.shared && state.auditLog.length >= AUDIT_LOG_LOCAL_LIMIT) trimAuditLog();
+  appendAuditEntry(action, entity, entityId, changes);
+}
+
+function appendAuditEntry(action, entity, entityId, changes) {
+  const actor = state.currentUser;
+  saveNewRecord('auditLog', {
+    audit_id: generateId(state.auditLog, 'audit_id'),
+    at: new Date().toISOString(),
+    actor_id: actor ? actor.user_id : null,
+    actor_name: actor ? actor.full_name : null,
+    action: action,
+    entity: entity,
+    entity_id: entityId,
+    changes: changes
+  });
+}
+
+/**
+ * Drop up to half of the log, oldest first, stopping at the first entry
+ * not yet exported; a TRIM entry records the removed id range
+ */
+function trimAuditLog() {
+  const exportedThrough = state.settings.audit_exported_through || 0;
+  const oldest = [...state.auditLog]
+    .sort((a, b) => a.audit_id - b.audit_id)
+    .slice(0, Math.floor(AUDIT_LOG_LOCAL_LIMIT / 2));
+  const cut = oldest.findIndex(e => e.audit_id > exportedThrough);
+  const removed = cut === -1 ? oldest : oldest.slice(0, cut);
+  if (removed.length === 0) return;
   
-  availableRooms.slice(0, 6).forEach(room => {
-    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
-    const roomCard = document.createElement('div');
-    roomCard.className = 'room-card';
-    roomCard.innerHTML = `
-      <div class="room-image">🏨</div>
-      <div class="room-content">
-        <div class="room-title">Phòng ${room.room_number}</div>
-        <div class="room-type">${roomType?.name || 'Unknown'}</div>
-        <div class="room-features">
-          <span class="room-feature">👥 ${roomType?.capacity || 2} người</span>
-          <span class="room-feature">🛏️ ${Math.ceil((roomType?.capacity || 2) / 2)} giường</span>
-        </div>
-        <div class="room-description">${roomType?.description || ''}</div>
-        <div class="room-price">${formatMoney(roomType?.base_price || 0)}/đêm</div>
-        <button class="book-btn" onclick="startBooking(${room.room_id})">
-          Đặt ngay
-        </button>
-      </div>
-    `;
-    roomsGrid.appendChild(roomCard);
+  state.auditLog = state.auditLog.filter(e => !removed.includes(e));
+  appendAuditEntry('TRIM', 'auditLog', null, {
+    removed_ids: [null, `#${removed[0].audit_id} - #${removed[removed.length - 1].audit_id}`],
+    removed_count: [null, removed.length]
   });
 }
 
-function startBooking(roomId) {
-  setActiveSection('booking');
-  const room = state.rooms.find(r => r.room_id === roomId);
-  if (room) {
-    document.getElementById('room-type').value = room.type_id;
-    searchAvailableRooms();
+/**
+ * Whether browser storage holds more entries than it should, because the
+ * oldest have not been exported and so cannot be trimmed
+ */
+function isAuditLogOverLimit() {
+  return !storage.shared && state.auditLog.length > AUDIT_LOG_LOCAL_LIMIT;
+}
+
+/**
+ * Remember how far the log has been exported without gaps, so trimming
+ * never removes an entry that exists nowhere else
+ */
+function markAuditLogExported(rows) {
+  const exported = new Set(rows.map(e => e.audit_id));
+  let through = state.settings.audit_exported_through || 0;
+  for (const entry of [...state.auditLog].sort((a, b) => a.audit_id - b.audit_id)) {
+    if (entry.audit_id <= through) continue;
+    if (!exported.has(entry.audit_id)) break;
+    through = entry.audit_id;
+  }
+  if (through !== (state.settings.audit_exported_through || 0)) {
+    updateSettings({ audit_exported_through: through });
   }
 }
 
+/**
+ * Re-read shared storage so changes from other clients show up
+ */
+async function refreshFromStorage() {
+  const currentUser = state.currentUser;
+  await storageQueue;
+  const data = await storage.load();
+  if (data) state = { ...ensureCollections(data), currentUser: currentUser };
+}
+
 /* =========================
-   Booking Section
+   Sessions
+   ========================= */
+
+// Only the token and user id are kept on the device, shared by all tabs
+const SESSION_KEY = "hbs_session";
+const DATA_SYNC_KEY = "hbs_data_changed";
+const SESSION_TTL = 8 * 60 * 60 * 1000;
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+const SESSION_CHECK_INTERVAL = 30 * 1000;
+// Activity is written back at most this often
+const SESSION_TOUCH_INTERVAL = 30 * 1000;
+
+// Token of the session this tab is logged in with
+let sessionToken = null;
+let dataSyncTimer = null;
+
+function readSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    return isPlainObject(session) && session.token ? session : null;
+  } catch (ex) {
+    return null;
+  }
+}
+
+function writeSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+/**
+ * The user record without credentials, as kept in state.currentUser
+ */
+function toSessionUser(user) {
+  const { password_hash, password_salt, password_iterations, password_reset, ...profile } = user;
+  return profile;
+}
+
+/**
+ * Resolve a stored session to { user }, or { reason } when it is no longer valid
+ */
+function validateSession(session, now = Date.now()) {
+  if (now >= session.expires_at) {
+    return { reason: 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.' };
+  }
+  if (now - session.last_active >= SESSION_IDLE_TIMEOUT) {
+    return { reason: 'Phiên đăng nhập đã kết thúc do không hoạt động. Vui lòng đăng nhập lại.' };
+  }
+  const user = state.users.find(u => u.user_id === session.user_id);
+  if (!user) {
+    return { reason: 'Tài khoản không còn tồn tại. Vui lòng đăng nhập lại.' };
+  }
+  if (user.password_changed_at && new Date(user.password_changed_at).getTime() > session.created_at) {
+    return { reason: 'Mật khẩu đã được thay đổi. Vui lòng đăng nhập lại.' };
+  }
+  return { user: user };
+}
+
+function startSession(user) {
+  const now = Date.now();
+  sessionToken = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+  writeSession({
+    token: sessionToken,
+    user_id: user.user_id,
+    created_at: now,
+    expires_at: now + SESSION_TTL,
+    last_active: now
+  });
+  state.currentUser = toSessionUser(user);
+}
+
+/**
+ * Leave the session; another tab's newer login is left alone
+ */
+function endSession() {
+  const session = readSession();
+  if (session && session.token === sessionToken) localStorage.removeItem(SESSION_KEY);
+  sessionToken = null;
+  state.currentUser = null;
+}
+
+/**
+ * Adopt the stored session; returns why it ended, if it did
+ */
+function restoreSession() {
+  const session = readSession();
+  const result = session ? validateSession(session) : {};
+  if (!result.user) {
+    if (session) localStorage.removeItem(SESSION_KEY);
+    sessionToken = null;
+    state.currentUser = null;
+    return result.reason || null;
+  }
+  sessionToken = session.token;
+  state.currentUser = toSessionUser(result.user);
+  return null;
+}
+
+/**
+ * Re-check expiry, idle time and the user's account; false once logged out
+ */
+function checkSession() {
+  if (!state.currentUser) return true;
+  
+  const session = readSession();
+  if (!session || session.token !== sessionToken) {
+    syncSession();
+    return false;
+  }
+  
+  const previous = state.currentUser;
+  const reason = restoreSession();
+  if (reason) {
+    showLoginScreen(reason);
+    return false;
+  }
+  
+  // Role or name changed since the user logged in
+  if (previous.role_id !== state.currentUser.role_id || previous.full_name !== state.currentUser.full_name) {
+    updateUIForCurrentUser();
+    const visible = document.querySelector('#main-app .section:not(.hidden)');
+    const permission = visible && SECTION_PERMISSIONS[visible.id];
+    if (permission && !hasPermission(permission)) setActiveSection('dashboard');
+  }
+  return true;
+}
+
+/**
+ * Follow a login or logout made in another tab
+ */
+function syncSession() {
+  const session = readSession();
+  if (session && session.token === sessionToken) return;
+  
+  if (!session) {
+    if (state.currentUser) showLoginScreen();
+    return;
+  }
+  
+  const reason = restoreSession();
+  if (reason) {
+    showLoginScreen(reason);
+  } else {
+    showMainApp();
+  }
+}
+
+/**
+ * Record user activity for the idle timeout
+ */
+function touchSession() {
+  const session = readSession();
+  if (!state.currentUser || !session || Date.now() - session.last_active < SESSION_TOUCH_INTERVAL) return;
+  if (checkSession()) writeSession({ ...session, last_active: Date.now() });
+}
+
+function announceDataChange() {
+  // The value must differ every time or no storage event fires
+  localStorage.setItem(DATA_SYNC_KEY, `${Date.now()}-${Math.random()}`);
+}
+
+/**
+ * Reload data written by another tab and redraw the open section
+ */
+async function reloadChangedData() {
+  try {
+    await refreshFromStorage();
+  } catch (ex) {
+    console.error("Refresh failed.", ex);
+    return;
+  }
+  if (!state.currentUser || !checkSession()) return;
+  
+  const visible = document.querySelector('#main-app .section:not(.hidden)');
+  if (visible && visible.id !== 'booking' && visible.id !== 'invoice') renderSection(visible.id);
+}
+
+function handleStorageEvent(event) {
+  // A null key means the other tab cleared localStorage
+  if (event.key === SESSION_KEY || event.key === null) syncSession();
+  if (event.key === DATA_SYNC_KEY) {
+    clearTimeout(dataSyncTimer);
+    dataSyncTimer = setTimeout(reloadChangedData, 100);
+  }
+}
+
+/* =========================
+   Notifications
+   ========================= */
+
+/*
+ * A notifier delivers messages to users:
+ *   send({ to, subject, body })     -> resolves once the message is handed over
+ * The demo keeps them in a local outbox; an e-mail or SMS gateway would plug in here.
+ */
+
+const OUTBOX_KEY = "hbs_outbox";
+const OUTBOX_LIMIT = 50;
+
+function readOutbox() {
+  try {
+    const messages = JSON.parse(localStorage.getItem(OUTBOX_KEY));
+    return Array.isArray(messages) ? messages : [];
+  } catch (ex) {
+    return [];
+  }
+}
+
+function createOutboxNotifier() {
+  return {
+    name: 'Hộp thư đi',
+    async send(message) {
+      const messages = [{ ...message, sent_at: new Date().toISOString() }, ...readOutbox()];
+      localStorage.setItem(OUTBOX_KEY, JSON.stringify(messages.slice(0, OUTBOX_LIMIT)));
+    }
+  };
+}
+
+let notifier = createOutboxNotifier();
+
+function showOutbox() {
+  const messages = readOutbox();
+  
+  openModal({
+    title: 'Hộp thư đi (demo)',
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = messages.length === 0 ? html`<p class="empty-row">Chưa có thư nào</p>` : html`${messages.map(message => html`
+        <div class="outbox-message">
+          <strong>${message.subject}</strong>
+          <div>Tới: ${message.to} - ${new Date(message.sent_at).toLocaleString('vi-VN')}</div>
+          <pre>${message.body}</pre>
+        </div>
+      `)}`;
+      return div;
+    },
+    onSubmit: () => true
+  });
+}
+
+/* =========================
+   Authentication System
+   ========================= */
+
+const RESET_CODE_TTL = 15 * 60 * 1000;
+const RESET_CODE_MAX_ATTEMPTS = 5;
+
+// Failed logins allowed before a lockout; every further failure doubles it
+const LOGIN_MAX_ATTEMPTS_ACCOUNT = 5;
+const LOGIN_MAX_ATTEMPTS_CLIENT = 10;
+const LOGIN_LOCKOUT_BASE = 30 * 1000;
+const LOGIN_LOCKOUT_MAX = 60 * 60 * 1000;
+// Failures from this browser, whichever accounts they were for, plus a
+// counter per unknown email so those lock exactly like real accounts.
+// Forgotten once no attempt has failed for LOGIN_LOCKOUT_MAX.
+const LOGIN_THROTTLE_KEY = "hbs_login_throttle";
+const LOGIN_FAILED_MESSAGE = "Email hoặc mật khẩu không chính xác";
+
+function readClientThrottle() {
+  try {
+    const throttle = JSON.parse(localStorage.getItem(LOGIN_THROTTLE_KEY));
+    if (!isPlainObject(throttle)) return {};
+    const idle = Date.now() - new Date(throttle.last_failed_at).getTime();
+    return idle < LOGIN_LOCKOUT_MAX ? throttle : {};
+  } catch (ex) {
+    return {};
+  }
+}
+
+/**
+ * Count a failed attempt on { failed_logins, locked_until }
+ */
+function registerLoginFailure(throttle, maxAttempts) {
+  const failures = (throttle.failed_logins || 0) + 1;
+  const lockout = failures < maxAttempts ? 0 :
+    Math.min(LOGIN_LOCKOUT_BASE * 2 ** (failures - maxAttempts), LOGIN_LOCKOUT_MAX);
+  return {
+    failed_logins: failures,
+    locked_until: lockout ? new Date(Date.now() + lockout).toISOString() : null
+  };
+}
+
+function getLockedUntil(throttle) {
+  return throttle && throttle.locked_until ? new Date(throttle.locked_until).getTime() : 0;
+}
+
+/**
+ * Throttle of the account behind an email: the user record, or this
+ * browser's counter when no account has that email
+ */
+function getAccountThrottle(user, email) {
+  if (user) return user;
+  const unknown = readClientThrottle().unknown_emails || {};
+  return email && unknown[email] || {};
+}
+
+/**
+ * Lockout message while this browser or the account is locked, otherwise null
+ */
+function getLoginLockMessage(user, email = null) {
+  const client = readClientThrottle();
+  const wait = Math.max(getLockedUntil(client), getLockedUntil(getAccountThrottle(user, email))) - Date.now();
+  if (wait <= 0) return null;
+  const duration = wait < 60000 ? `${Math.ceil(wait / 1000)} giây` : `${Math.ceil(wait / 60000)} phút`;
+  return `Đăng nhập sai quá nhiều lần. Vui lòng thử lại sau ${duration}.`;
+}
+
+function recordLoginFailure(user, email = null) {
+  const client = readClientThrottle();
+  const unknown = { ...client.unknown_emails };
+  if (!user && email) {
+    unknown[email] = registerLoginFailure(getAccountThrottle(null, email), LOGIN_MAX_ATTEMPTS_ACCOUNT);
+  }
+  localStorage.setItem(LOGIN_THROTTLE_KEY, JSON.stringify({
+    ...registerLoginFailure(client, LOGIN_MAX_ATTEMPTS_CLIENT),
+    last_failed_at: new Date().toISOString(),
+    unknown_emails: unknown
+  }));
+  if (user) updateRecord('users', user.user_id, registerLoginFailure(user, LOGIN_MAX_ATTEMPTS_ACCOUNT));
+}
+
+function showLoginScreen(message = null) {
+  document.getElementById('login-screen').classList.remove('hidden');
+  document.getElementById('register-screen').classList.add('hidden');
+  document.getElementById('main-app').classList.add('hidden');
+  modal.classList.add('hidden');
+  if (state.currentUser) endSession();
+  if (message) alert(message);
+}
+
+function showRegisterScreen() {
+  document.getElementById('login-screen').classList.add('hidden');
+  document.getElementById('register-screen').classList.remove('hidden');
+}
+
+function showMainApp() {
+  document.getElementById('login-screen').classList.add('hidden');
+  document.getElementById('register-screen').classList.add('hidden');
+  document.getElementById('main-app').classList.remove('hidden');
+  updateUIForCurrentUser();
+  setActiveSection(state.currentUser.must_change_password ? 'account' : 'dashboard');
+}
+
+async function handleLogin(email, password) {
+  const user = state.users.find(u => u.email === email);
+  
+  const lockMessage = getLoginLockMessage(user, email);
+  if (lockMessage) {
+    alert(lockMessage);
+    return false;
+  }
+  
+  // Unknown emails cost the same hashing time, so timing does not give them away
+  const valid = user ? await verifyPassword(user, password) : (await hashPassword(password), false);
+  if (!valid) {
+    recordLoginFailure(user, email);
+    alert(getLoginLockMessage(user, email) || LOGIN_FAILED_MESSAGE);
+    return false;
+  }
+  
+  // The browser's own counter is kept: one good login does not excuse guesses at other accounts
+  if (user.failed_logins) {
+    updateRecord('users', user.user_id, { failed_logins: 0, locked_until: null });
+  }
+  
+  // Transparently upgrade legacy or weaker hashes
+  if (needsRehash(user)) {
+    updateRecord('users', user.user_id, await hashPassword(password));
+  }
+  
+  startSession(user);
+  showMainApp();
+  return true;
+}
+
+async function handleRegister(userData) {
+  const { name, email, phone, address, password, confirm } = userData;
+  
+  const passwordError = validateNewPassword(password, confirm);
+  if (passwordError) {
+    alert(passwordError);
+    return false;
+  }
+  
+  if (state.users.find(u => u.email === email)) {
+    alert("Email đã tồn tại trong hệ thống");
+    return false;
+  }
+  
+  insertRecord('users', {
+    full_name: name,
+    email: email,
+    phone: phone,
+    address: address,
+    role_id: 4,
+    ...(await hashPassword(password))
+  });
+  
+  alert("Đăng ký thành công! Vui lòng đăng nhập.");
+  showLoginScreen();
+  return true;
+}
+
+function handleLogout() {
+  if (confirm("Bạn có chắc chắn muốn đăng xuất?")) {
+    showLoginScreen();
+  }
+}
+
+/**
+ * Check a new password against the policy and its confirmation; returns an error message or null
+ */
+function validateNewPassword(password, confirmation = password) {
+  if (!password) return 'Vui lòng nhập mật khẩu mới';
+  
+  const errors = getPasswordPolicyErrors(password);
+  if (errors.length > 0) return `Mật khẩu chưa đạt yêu cầu:\n- ${errors.join('\n- ')}`;
+  if (password !== confirmation) return 'Mật khẩu xác nhận không khớp';
+  return null;
+}
+
+/**
+ * Store a new password; sessions started before the change are ended
+ */
+async function setUserPassword(userId, password, mustChange = false) {
+  const user = updateRecord('users', userId, {
+    ...(await hashPassword(password)),
+    password_changed_at: new Date().toISOString(),
+    must_change_password: mustChange,
+    password_reset: null,
+    failed_logins: 0,
+    locked_until: null
+  });
+  if (state.currentUser && state.currentUser.user_id === userId) startSession(user);
+  return user;
+}
+
+/**
+ * Send a one-time reset code; unknown emails get the same answer
+ */
+async function requestPasswordReset(email) {
+  const user = state.users.find(u => u.email === email);
+  if (!user) return;
+  
+  const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+  updateRecord('users', user.user_id, {
+    password_reset: {
+      ...(await hashPassword(code)),
+      expires_at: new Date(Date.now() + RESET_CODE_TTL).toISOString()
+    }
+  });
+  
+  await notifier.send({
+    to: user.email,
+    subject: 'Mã đặt lại mật khẩu',
+    body: `Xin chào ${user.full_name},\n\nMã đặt lại mật khẩu của bạn là ${code}. ` +
+      `Mã có hiệu lực trong ${RESET_CODE_TTL / 60000} phút và chỉ dùng được một lần.\n\n` +
+      'Nếu bạn không yêu cầu đặt lại mật khẩu, hãy bỏ qua thư này.'
+  });
+}
+
+/**
+ * Set a new password with a reset code; returns an error message or null
+ */
+async function resetPassword(email, code, password) {
+  const lockMessage = getLoginLockMessage(null);
+  if (lockMessage) return lockMessage;
+  
+  const user = state.users.find(u => u.email === email);
+  const reset = user && user.password_reset;
+  if (!reset || new Date(reset.expires_at) <= new Date() || !(await verifyPassword(reset, code))) {
+    recordLoginFailure(null);
+    // A code stops working after too many wrong guesses
+    if (reset) {
+      const attempts = (reset.attempts || 0) + 1;
+      updateRecord('users', user.user_id, {
+        password_reset: attempts >= RESET_CODE_MAX_ATTEMPTS ? null : { ...reset, attempts: attempts }
+      });
+    }
+    return 'Mã đặt lại không hợp lệ hoặc đã hết hạn';
+  }
+  
+  await setUserPassword(user.user_id, password);
+  return null;
+}
+
+function showForgotPasswordForm() {
+  openModal({
+    title: 'Quên mật khẩu',
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="form-group">
+          <label for="f_reset_email">Email *</label>
+          <div class="promo-input">
+            <input type="email" id="f_reset_email" value="${document.getElementById('login-email').value}" required>
+            <button type="button" id="btn-send-reset-code" class="btn">Gửi mã</button>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_reset_code">Mã đặt lại *</label>
+          <input type="text" id="f_reset_code" inputmode="numeric" maxlength="6" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_reset_password">Mật khẩu mới *</label>
+          <input type="password" id="f_reset_password" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_reset_confirm">Xác nhận mật khẩu mới *</label>
+          <input type="password" id="f_reset_confirm" required>
+        </div>
+      `;
+      attachStrengthMeter(div.querySelector('#f_reset_password'));
+      
+      div.querySelector('#btn-send-reset-code').addEventListener('click', async function() {
+        const email = div.querySelector('#f_reset_email').value.trim();
+        if (!EMAIL_PATTERN.test(email)) {
+          alert('Vui lòng nhập email hợp lệ');
+          return;
+        }
+        this.disabled = true;
+        try {
+          await requestPasswordReset(email);
+        } finally {
+          this.disabled = false;
+        }
+        alert(`Nếu email có trong hệ thống, mã đặt lại đã được gửi qua ${notifier.name}.`);
+      });
+      return div;
+    },
+    onSubmit: async () => {
+      const email = document.getElementById('f_reset_email').value.trim();
+      const code = document.getElementById('f_reset_code').value.trim();
+      const password = document.getElementById('f_reset_password').value;
+      
+      if (!email || !code) {
+        alert('Vui lòng nhập email và mã đặt lại');
+        return false;
+      }
+      
+      const error = validateNewPassword(password, document.getElementById('f_reset_confirm').value) ||
+        await resetPassword(email, code, password);
+      if (error) {
+        alert(error);
+        return false;
+      }
+      
+      document.getElementById('login-email').value = email;
+      document.getElementById('login-password').value = '';
+      alert('Đã đặt lại mật khẩu. Vui lòng đăng nhập bằng mật khẩu mới.');
+      return true;
+    }
+  });
+}
+
+/* =========================
+   UI Management
+   ========================= */
+
+function updateUIForCurrentUser() {
+  const currentUser = state.currentUser;
+  if (!currentUser) return;
+  
+  const userRole = state.roles.find(r => r.role_id === currentUser.role_id);
+  
+  document.getElementById('current-user').textContent = `Xin chào, ${currentUser.full_name}`;
+  document.getElementById('user-role').textContent = userRole.role_name;
+  document.getElementById('welcome-message').textContent = 
+    `Chào mừng ${currentUser.full_name} đến với hệ thống đặt phòng khách sạn`;
+  
+  applyUIRestrictions(userRole);
+  renderDashboard();
+}
+
+function applyUIRestrictions(userRole) {
+  const roleName = userRole.role_name;
+  
+  document.querySelectorAll('[data-role]').forEach(el => {
+    el.style.display = 'none';
+  });
+  
+  if (roleName === 'Admin') {
+    document.querySelectorAll('[data-role]').forEach(el => {
+      el.style.display = '';
+    });
+  } else if (roleName === 'Manager') {
+    document.querySelectorAll('[data-role="staff"], [data-role="manager"]').forEach(el => {
+      el.style.display = '';
+    });
+  } else if (roleName === 'Staff') {
+    document.querySelectorAll('[data-role="staff"]').forEach(el => {
+      el.style.display = '';
+    });
+  }
+  
+  // Never show a section the role has no permission for
+  document.querySelectorAll('.nav-btn').forEach(btn => {
+    const permission = SECTION_PERMISSIONS[btn.dataset.section];
+    if (permission && !hasPermission(permission)) btn.style.display = 'none';
+  });
+}
+
+function setActiveSection(id) {
+  if (!checkSession()) return;
+  
+  if (state.currentUser.must_change_password && id !== 'account') {
+    if (id !== 'dashboard') alert('Vui lòng đổi mật khẩu trước khi tiếp tục');
+    id = 'account';
+  }
+  
+  const permission = SECTION_PERMISSIONS[id];
+  if (permission && !requirePermission(permission)) {
+    id = 'dashboard';
+  }
+  
+  document.querySelectorAll(".section").forEach(s => s.classList.add("hidden"));
+  const el = document.getElementById(id);
+  if (el) el.classList.remove("hidden");
+
+  document.querySelectorAll(".nav-btn").forEach(b => b.classList.remove("active"));
+  document.querySelector(`.nav-btn[data-section="${id}"]`)?.classList.add("active");
+  
+  renderSection(id);
+  
+  // Pick up changes made by other clients, then render again
+  if (storage.shared && id !== 'booking' && id !== 'invoice') {
+    refreshFromStorage()
+      .then(() => {
+        if (!document.getElementById(id).classList.contains('hidden')) renderSection(id);
+      })
+      .catch(ex => console.error("Refresh failed.", ex));
+  }
+}
+
+/**
+ * Render section-specific content
+ */
+function renderSection(id) {
+  switch(id) {
+    case 'dashboard':
+      renderDashboard();
+      break;
+    case 'booking':
+      renderBookingSection();
+      break;
+    case 'my-bookings':
+      renderMyBookings();
+      break;
+    case 'account':
+      renderAccount();
+      break;
+    case 'rooms':
+      renderRooms();
+      break;
+    case 'room-types':
+      renderRoomTypes();
+      break;
+    case 'rate-rules':
+      renderRateRules();
+      break;
+    case 'cancellation-policies':
+      renderCancellationPolicies();
+      break;
+    case 'promotions':
+      renderPromotions();
+      break;
+    case 'taxes':
+      renderTaxSettings();
+      break;
+    case 'services':
+      renderServices();
+      break;
+    case 'bookings':
+      renderBookings();
+      break;
+    case 'frontdesk':
+      renderFrontDesk();
+      break;
+    case 'tape-chart':
+      renderTapeChart();
+      break;
+    case 'users':
+      renderUsers();
+      break;
+    case 'payments':
+      renderPayments();
+      break;
+    case 'reports':
+      renderReports();
+      break;
+    case 'audit-log':
+      renderAuditLog();
+      break;
+    case 'system':
+      renderSystemSettings();
+      break;
+  }
+}
+
+/* =========================
+   Dashboard
+   ========================= */
+
+function renderDashboard() {
+  const currentUser = state.currentUser;
+  const userRole = state.roles.find(r => r.role_id === currentUser.role_id);
+  
+  // Update stats
+  const availableRooms = state.rooms.filter(r => r.status === 'Available').length;
+  const myBookings = state.bookings.filter(b => b.user_id === currentUser.user_id).length;
+  const totalBookings = state.bookings.length;
+  const pendingPayments = state.payments.filter(p => p.status === 'PENDING').length;
+  
+  document.getElementById('stat-available-rooms').textContent = availableRooms;
+  document.getElementById('stat-my-bookings').textContent = myBookings;
+  document.getElementById('stat-total-bookings').textContent = totalBookings;
+  document.getElementById('stat-pending-payments').textContent = pendingPayments;
+  
+  // Show/hide sections based on role
+  if (userRole.role_name === 'Customer') {
+    renderFeaturedRooms();
+    document.getElementById('quick-actions').style.display = 'none';
+  } else {
+    document.getElementById('featured-rooms').style.display = 'none';
+    document.getElementById('quick-actions').style.display = 'block';
+  }
+}
+
+function renderFeaturedRooms() {
+  const roomsGrid = document.getElementById('rooms-grid');
+  roomsGrid.innerHTML = '';
+  
+  const availableRooms = state.rooms.filter(room => room.status === 'Available');
+  
+  availableRooms.slice(0, 6).forEach(room => {
+    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+    const roomCard = document.createElement('div');
+    roomCard.className = 'room-card';
+    roomCard.innerHTML = html`
+      <div class="room-image">🏨</div>
+      <div class="room-content">
+        <div class="room-title">Phòng ${room.room_number}</div>
+        <div class="room-type">${roomType?.name || 'Unknown'}</div>
+        <div class="room-features">
+          <span class="room-feature">👥 ${roomType?.capacity || 2} người</span>
+          <span class="room-feature">🛏️ ${Math.ceil((roomType?.capacity || 2) / 2)} giường</span>
+        </div>
+        <div class="room-description">${roomType?.description || ''}</div>
+        <div class="room-price">${formatMoney(roomType?.base_price || 0)}/đêm</div>
+        <button class="book-btn" data-action="startBooking" data-id="${room.room_id}">
+          Đặt ngay
+        </button>
+      </div>
+    `;
+    roomsGrid.appendChild(roomCard);
+  });
+}
+
+function startBooking(roomId) {
+  setActiveSection('booking');
+  const room = state.rooms.find(r => r.room_id === roomId);
+  if (room) {
+    document.getElementById('room-type').value = room.type_id;
+    searchAvailableRooms();
+  }
+}
+
+/* =========================
+   Reports
+   ========================= */
+
+// Bookings that count as sold room nights
+const SOLD_STATUSES = ['CONFIRMED', 'CHECKED_IN', 'CHECKED_OUT'];
+const CHART_COLORS = ['#0078d7', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#00b4d8'];
+
+let reportOptions = null;
+
+function getReportOptions() {
+  if (!reportOptions) {
+    const today = todayISO();
+    reportOptions = { from: addDays(today, -29), to: today, groupBy: 'day' };
+  }
+  return reportOptions;
+}
+
+/**
+ * Room revenue of a booking per night (before tax)
+ */
+function getNightlyRevenue(booking) {
+  if (booking.nightly_rates) {
+    // Discounts are spread over the nights in proportion to their price
+    const roomTotal = booking.nightly_rates.reduce((sum, n) => sum + n.price, 0);
+    const share = booking.discount_amount && roomTotal ? 1 - booking.discount_amount / roomTotal : 1;
+    return booking.nightly_rates.map(n => ({ date: n.date, price: n.price * share }));
+  }
+  
+  // Older bookings only have a total; spread the room part evenly
+  const nights = calculateNights(booking.check_in_date, booking.check_out_date);
+  const services = state.bookingServices
+    .filter(bs => bs.booking_id === booking.booking_id)
+    .reduce((sum, bs) => sum + bs.price, 0);
+  const roomAmount = booking.room_amount ?? (booking.total_amount - services);
+  return Array.from({ length: nights }, (_, i) => ({
+    date: addDays(booking.check_in_date, i),
+    price: roomAmount / nights
+  }));
+}
+
+/**
+ * Occupancy, ADR, RevPAR, revenue split and cancellations for a date range
+ */
+function buildReport(from, to, groupBy) {
+  const periodOf = date => groupBy === 'month' ? date.slice(0, 7) : date;
+  const inRange = date => date >= from && date <= to;
+  const periods = new Map();
+  
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const key = periodOf(date);
+    if (!periods.has(key)) {
+      periods.set(key, {
+        period: key,
+        available: 0,
+        sold: 0,
+        roomRevenue: 0,
+        serviceRevenue: 0,
+        bookings: 0,
+        cancelled: 0,
+        noShow: 0
+      });
+    }
+    periods.get(key).available += state.rooms.length;
+  }
+  
+  state.bookings.forEach(booking => {
+    if (SOLD_STATUSES.includes(booking.status)) {
+      getNightlyRevenue(booking).filter(n => inRange(n.date)).forEach(night => {
+        const period = periods.get(periodOf(night.date));
+        period.sold++;
+        period.roomRevenue += night.price;
+      });
+      
+      // Services are counted on the arrival date
+      if (inRange(booking.check_in_date)) {
+        periods.get(periodOf(booking.check_in_date)).serviceRevenue += state.bookingServices
+          .filter(bs => bs.booking_id === booking.booking_id)
+          .reduce((sum, bs) => sum + bs.price, 0);
+      }
+    }
+    
+    if (inRange(booking.check_in_date)) {
+      const period = periods.get(periodOf(booking.check_in_date));
+      period.bookings++;
+      if (booking.status === 'CANCELLED') period.cancelled++;
+      if (booking.status === 'NO_SHOW') period.noShow++;
+    }
+  });
+  
+  const byMethod = {};
+  state.payments
+    .filter(p => (p.status === 'PAID' || p.status === 'REFUNDED') && inRange(p.payment_date))
+    .forEach(p => {
+      byMethod[p.payment_method] = (byMethod[p.payment_method] || 0) + p.amount;
+    });
+  
+  const rows = [...periods.values()].map(withReportRatios);
+  const totals = withReportRatios(rows.reduce((sum, row) => {
+    ['available', 'sold', 'roomRevenue', 'serviceRevenue', 'bookings', 'cancelled', 'noShow']
+      .forEach(key => { sum[key] += row[key]; });
+    return sum;
+  }, { period: 'Tổng', available: 0, sold: 0, roomRevenue: 0, serviceRevenue: 0, bookings: 0, cancelled: 0, noShow: 0 }));
+  
+  return { rows: rows, totals: totals, byMethod: byMethod };
+}
+
+function withReportRatios(row) {
+  return {
+    ...row,
+    occupancy: row.available ? row.sold / row.available * 100 : 0,
+    adr: row.sold ? row.roomRevenue / row.sold : 0,
+    revpar: row.available ? row.roomRevenue / row.available : 0,
+    cancellationRate: row.bookings ? row.cancelled / row.bookings * 100 : 0
+  };
+}
+
+function formatCompact(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${+(value / 1e9).toFixed(1)} tỷ`;
+  if (abs >= 1e6) return `${+(value / 1e6).toFixed(1)} tr`;
+  if (abs >= 1e3) return `${+(value / 1e3).toFixed(0)}k`;
+  return String(Math.round(value));
+}
+
+function formatPercent(value) {
+  return `${value.toFixed(1)}%`;
+}
+
+/**
+ * Grouped bar chart as inline SVG
+ */
+function svgBarChart(labels, series, formatValue) {
+  const width = 640, height = 260;
+  const pad = { top: 16, right: 12, bottom: 40, left: 56 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const max = Math.max(1, ...series.flatMap(s => s.values));
+  const groupW = plotW / Math.max(1, labels.length);
+  const barW = Math.max(1, groupW * 0.8 / series.length);
+  const labelStep = Math.ceil(labels.length / 12);
+  
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(f => {
+    const y = pad.top + plotH * (1 - f);
+    return html`
+      <line x1="${pad.left}" x2="${width - pad.right}" y1="${y}" y2="${y}" class="chart-grid"/>
+      <text x="${pad.left - 6}" y="${y + 4}" text-anchor="end" class="chart-label">${formatValue(max * f)}</text>
+    `;
+  });
+  
+  const bars = labels.map((label, i) => {
+    const x0 = pad.left + groupW * i + groupW * 0.1;
+    return [
+      series.map((s, j) => {
+        const h = plotH * s.values[i] / max;
+        return html`<rect x="${x0 + barW * j}" y="${pad.top + plotH - h}" width="${barW}" height="${h}" fill="${s.color}"><title>${label} - ${s.name}: ${formatValue(s.values[i])}</title></rect>`;
+      }),
+      i % labelStep === 0 ?
+        html`<text x="${x0 + groupW * 0.4}" y="${height - pad.bottom + 16}" text-anchor="middle" class="chart-label">${label}</text>` : ''
+    ];
+  });
+  
+  return html`
+    <svg viewBox="0 0 ${width} ${height}" class="chart" role="img">${grid}${bars}</svg>
+    ${renderChartLegend(series.map(s => [s.name, s.color]))}
+  `;
+}
+
+/**
+ * Donut chart as inline SVG; slices are [label, value] pairs
+ */
+function svgDonutChart(slices, formatValue) {
+  const total = slices.reduce((sum, [, value]) => sum + Math.max(0, value), 0);
+  if (total === 0) return html`<p class="empty-row">Không có dữ liệu</p>`;
+  
+  const radius = 80, stroke = 36, circumference = 2 * Math.PI * radius;
+  let offset = 0;
+  const arcs = slices.map(([label, value], i) => {
+    const length = circumference * Math.max(0, value) / total;
+    const arc = html`<circle r="${radius}" cx="110" cy="110" fill="none" stroke="${CHART_COLORS[i % CHART_COLORS.length]}" stroke-width="${stroke}"
+      stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 110 110)"><title>${label}: ${formatValue(value)}</title></circle>`;
+    offset += length;
+    return arc;
+  });
+  
+  return html`
+    <svg viewBox="0 0 220 220" class="chart chart-donut" role="img">
+      ${arcs}
+      <text x="110" y="115" text-anchor="middle" class="chart-total">${formatValue(total)}</text>
+    </svg>
+    ${renderChartLegend(slices.map(([label, value], i) => [`${label}: ${formatValue(value)} (${formatPercent(Math.max(0, value) / total * 100)})`, CHART_COLORS[i % CHART_COLORS.length]]))}
+  `;
+}
+
+function renderChartLegend(items) {
+  return html`
+    <div class="chart-legend">
+      ${items.map(([label, color]) => html`<span><i style="background:${color}"></i>${label}</span>`)}
+    </div>
+  `;
+}
+
+function renderReports() {
+  if (!requirePermission('reports:read')) return;
+  
+  const options = getReportOptions();
+  document.getElementById('report-from').value = options.from;
+  document.getElementById('report-to').value = options.to;
+  document.getElementById('report-group').value = options.groupBy;
+  
+  const report = buildReport(options.from, options.to, options.groupBy);
+  const { totals, rows } = report;
+  const labels = rows.map(r => options.groupBy === 'month' ? r.period : r.period.slice(5));
+  
+  document.getElementById('report-kpis').innerHTML = html`${[
+    [formatPercent(totals.occupancy), 'Công suất phòng'],
+    [formatMoney(totals.adr), 'ADR (giá TB/đêm)'],
+    [formatMoney(totals.revpar), 'RevPAR'],
+    [formatMoney(totals.roomRevenue), 'Doanh thu phòng'],
+    [formatMoney(totals.serviceRevenue), 'Doanh thu dịch vụ'],
+    [formatPercent(totals.cancellationRate), `Tỷ lệ hủy (${totals.cancelled}/${totals.bookings})`]
+  ].map(([value, label]) => html`
+    <div class="card">
+      <div class="num">${value}</div>
+      <div class="label">${label}</div>
+    </div>
+  `)}`;
+  
+  document.getElementById('chart-occupancy').innerHTML = svgBarChart(labels, [
+    { name: 'Công suất (%)', values: rows.map(r => r.occupancy), color: CHART_COLORS[0] }
+  ], formatPercent);
+  
+  document.getElementById('chart-adr').innerHTML = svgBarChart(labels, [
+    { name: 'ADR', values: rows.map(r => r.adr), color: CHART_COLORS[0] },
+    { name: 'RevPAR', values: rows.map(r => r.revpar), color: CHART_COLORS[1] }
+  ], formatCompact);
+  
+  document.getElementById('chart-revenue').innerHTML = svgBarChart(labels, [
+    { name: 'Tiền phòng', values: rows.map(r => r.roomRevenue), color: CHART_COLORS[0] },
+    { name: 'Dịch vụ', values: rows.map(r => r.serviceRevenue), color: CHART_COLORS[2] }
+  ], formatCompact);
+  
+  document.getElementById('chart-payment-methods').innerHTML = svgDonutChart(
+    Object.entries(report.byMethod).map(([method, amount]) => [PAYMENT_METHODS[method] || method, amount]),
+    formatCompact
+  );
+  
+  document.getElementById('chart-cancellations').innerHTML = svgBarChart(labels, [
+    { name: 'Tỷ lệ hủy (%)', values: rows.map(r => r.cancellationRate), color: CHART_COLORS[3] }
+  ], formatPercent);
+}
+
+function updateReportOptions() {
+  const from = document.getElementById('report-from').value;
+  const to = document.getElementById('report-to').value;
+  
+  if (!from || !to || from > to) {
+    alert('Khoảng thời gian không hợp lệ');
+    return;
+  }
+  if (calculateNights(from, to) > 731) {
+    alert('Chỉ xem được tối đa 2 năm mỗi lần');
+    return;
+  }
+  
+  reportOptions = { from: from, to: to, groupBy: document.getElementById('report-group').value };
+  renderReports();
+}
+
+function exportReportCsv() {
+  if (!requirePermission('reports:read')) return;
+  
+  const { from, to, groupBy } = getReportOptions();
+  const report = buildReport(from, to, groupBy);
+  const lines = [
+    ['Kỳ', 'Phòng-đêm khả dụng', 'Phòng-đêm bán', 'Công suất (%)', 'Doanh thu phòng', 'ADR', 'RevPAR',
+     'Doanh thu dịch vụ', 'Số đơn', 'Đã hủy', 'Không đến', 'Tỷ lệ hủy (%)'],
+    ...[...report.rows, report.totals].map(r => [
+      r.period, r.available, r.sold, +r.occupancy.toFixed(2), Math.round(r.roomRevenue), Math.round(r.adr),
+      Math.round(r.revpar), Math.round(r.serviceRevenue), r.bookings, r.cancelled, r.noShow, +r.cancellationRate.toFixed(2)
+    ]),
+    [],
+    ['Phương thức thanh toán', 'Số tiền'],
+    ...Object.entries(report.byMethod).map(([method, amount]) => [PAYMENT_METHODS[method] || method, amount])
+  ];
+  const csv = lines.map(line => line.map(toCsvValue).join(',')).join('\r\n');
+  downloadFile('\uFEFF' + csv, `bao-cao-${from}-${to}.csv`, 'text/csv;charset=utf-8');
+}
+
+/* =========================
+   Booking Section
    ========================= */
 
 function renderBookingSection() {
   // Populate room types dropdown
   const roomTypeSelect = document.getElementById('room-type');
-  roomTypeSelect.innerHTML = '<option value="">Tất cả loại phòng</option>';
-  state.roomTypes.forEach(type => {
-    roomTypeSelect.innerHTML += `<option value="${type.type_id}">${type.name}</option>`;
+  roomTypeSelect.innerHTML = html`
+    <option value="">Tất cả loại phòng</option>
+    ${state.roomTypes.map(type => html`<option value="${type.type_id}">${type.name}</option>`)}
+  `;
+  
+  // Set default dates
+  const today = new Date().toISOString().split('T')[0];
+  const tomorrow = new Date(Date.now() + 86400000).toISOString().split('T')[0];
+  document.getElementById('check-in').value = today;
+  document.getElementById('check-out').value = tomorrow;
+  
+  // Clear available rooms
+  document.getElementById('available-rooms').innerHTML = '';
+}
+
+function searchAvailableRooms() {
+  const checkIn = document.getElementById('check-in').value;
+  const checkOut = document.getElementById('check-out').value;
+  const guests = parseInt(document.getElementById('guests').value);
+  const roomCount = parseInt(document.getElementById('room-count').value) || 1;
+  const roomTypeId = document.getElementById('room-type').value;
+  
+  if (!checkIn || !checkOut) {
+    alert('Vui lòng chọn ngày nhận và trả phòng');
+    return;
+  }
+  
+  if (new Date(checkOut) <= new Date(checkIn)) {
+    alert('Ngày trả phòng phải sau ngày nhận phòng');
+    return;
+  }
+  
+  if (!(guests >= 1) || roomCount > guests) {
+    alert('Số khách phải lớn hơn 0 và không ít hơn số phòng');
+    return;
+  }
+  
+  const availableRoomsContainer = document.getElementById('available-rooms');
+  availableRoomsContainer.innerHTML = html`<h3>Đang tìm phòng...</h3>`;
+  
+  setTimeout(() => {
+    const matchesType = room => !roomTypeId || room.type_id == roomTypeId;
+    const maxCapacity = Math.max(0, ...state.roomTypes
+      .filter(t => !roomTypeId || t.type_id == roomTypeId)
+      .map(t => t.capacity));
+    
+    // Several rooms asked for, or more guests than any single room of the chosen type holds
+    if (roomCount > 1 || guests > maxCapacity) {
+      const candidates = findAvailableRooms(checkIn, checkOut, 1).filter(matchesType);
+      renderGroupRoomOptions(candidates, checkIn, checkOut, guests, roomCount);
+      return;
+    }
+    
+    const availableRooms = findAvailableRooms(checkIn, checkOut, guests).filter(matchesType);
+    renderAvailableRooms(availableRooms, checkIn, checkOut, guests);
+  }, 500);
+}
+
+/**
+ * Rooms free for a stay; a booking being changed may keep its own room
+ * Occupied and Cleaning only describe the room today, so the dates decide.
+ */
+function findAvailableRooms(checkIn, checkOut, guests, excludeBookingId = null) {
+  return state.rooms.filter(room => {
+    // Check room status
+    if (room.status === 'Maintenance') return false;
+    
+    // Check capacity
+    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+    if (roomType && roomType.capacity < guests) return false;
+    
+    // Check booking overlap
+    return !checkOverlap(room.room_id, checkIn, checkOut, excludeBookingId);
+  });
+}
+
+function renderAvailableRooms(rooms, checkIn, checkOut, guests) {
+  const availableRoomsContainer = document.getElementById('available-rooms');
+  
+  if (rooms.length === 0) {
+    availableRoomsContainer.innerHTML = html`
+      <div class="no-rooms">
+        <h3>Không tìm thấy phòng phù hợp</h3>
+        <p>Vui lòng thử lại với tiêu chí khác</p>
+      </div>
+    `;
+    return;
+  }
+  
+  availableRoomsContainer.innerHTML = html`
+    <h3>${rooms.length} phòng phù hợp</h3>
+    <div class="rooms-list">
+      ${rooms.map(room => {
+        const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+        const nights = calculateNights(checkIn, checkOut);
+        const roomPrice = calculateRoomPrice(roomType, checkIn, checkOut);
+        
+        return html`
+          <div class="available-room">
+            <div class="room-info">
+              <h4>Phòng ${room.room_number} - ${roomType.name}</h4>
+              <p>${roomType.description}</p>
+              <div class="room-details">
+                <span>👥 ${roomType.capacity} người</span>
+                <span>🛏️ ${Math.ceil(roomType.capacity / 2)} giường</span>
+                <span>🏨 ${nights} đêm</span>
+              </div>
+              <div class="room-features">${room.features}</div>
+            </div>
+            <div class="room-pricing">
+              <div class="price-breakdown">
+                ${renderPriceBreakdown(roomPrice.nights)}
+                <div class="total-price">${formatMoney(roomPrice.total)}</div>
+                ${!state.settings.prices_include_tax ? html`<small>Chưa gồm thuế & phí</small>` : ''}
+              </div>
+              <button class="book-now-btn primary" data-action="showBookingForm" data-id="${room.room_id}" data-check-in="${checkIn}" data-check-out="${checkOut}" data-guests="${guests}">
+                Chọn phòng
+              </button>
+            </div>
+          </div>
+        `;
+      })}
+    </div>
+  `;
+}
+
+function showBookingForm(roomId, checkIn, checkOut, guests) {
+  const room = state.rooms.find(r => r.room_id === roomId);
+  const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+  const nights = calculateNights(checkIn, checkOut);
+  const roomPrice = calculateRoomPrice(roomType, checkIn, checkOut);
+  const basePrice = roomPrice.total;
+  const cancellationPolicy = resolveCancellationPolicy(roomType.type_id, checkIn);
+  const stay = { typeId: roomType.type_id, checkIn: checkIn, checkOut: checkOut, userId: state.currentUser.user_id };
+  let promotion = null;
+  
+  openModal({
+    title: `Đặt phòng ${room.room_number}`,
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="booking-summary">
+          <h4>Thông tin đặt phòng</h4>
+          <p><strong>Phòng:</strong> ${room.room_number} - ${roomType.name}</p>
+          <p><strong>Ngày nhận:</strong> ${checkIn}</p>
+          <p><strong>Ngày trả:</strong> ${checkOut}</p>
+          <p><strong>Số đêm:</strong> ${nights}</p>
+          <p><strong>Số khách:</strong> ${guests}</p>
+          <p><strong>Giá phòng:</strong> ${formatMoney(basePrice)}</p>
+          ${renderNightlyRates(roomPrice.nights)}
+          <p><strong>Chính sách hủy:</strong> ${describeCancellationPolicy(cancellationPolicy)}</p>
+          
+          <div class="form-group">
+            <label for="f_promo_code">Mã khuyến mãi</label>
+            <div class="promo-input">
+              <input type="text" id="f_promo_code" placeholder="Nhập mã">
+              <button type="button" id="btn-apply-promo" class="btn">Áp dụng</button>
+            </div>
+            <small id="promo-message"></small>
+          </div>
+        </div>
+        
+        <div class="services-selection">
+          <h4>Dịch vụ bổ sung</h4>
+          ${state.services.map(service => html`
+            <label class="service-checkbox">
+              <input type="checkbox" value="${service.service_id}" data-price="${service.price}">
+              <span>${service.name} - ${formatMoney(service.price)}</span>
+            </label>
+          `)}
+        </div>
+        
+        <div class="total-amount" id="booking-totals">
+          ${renderTotalsBreakdown(calculateTotals(basePrice, 0))}
+        </div>
+      `;
+      
+      // Recalculate discount, taxes and total as services are ticked
+      const updateTotals = () => {
+        const servicesTotal = Array.from(div.querySelectorAll('.service-checkbox input:checked'))
+          .reduce((sum, checked) => sum + parseFloat(checked.dataset.price), 0);
+        const totals = calculateTotals(basePrice, servicesTotal, calculateDiscount(promotion, basePrice));
+        div.querySelector('#booking-totals').innerHTML = renderTotalsBreakdown({ ...totals, promo_code: promotion?.code });
+      };
+      div.querySelectorAll('.service-checkbox input').forEach(input => {
+        input.addEventListener('change', updateTotals);
+      });
+      
+      div.querySelector('#btn-apply-promo').addEventListener('click', () => {
+        const code = div.querySelector('#f_promo_code').value;
+        const result = code.trim() ? validatePromotion(code, stay) : { promotion: null };
+        const message = div.querySelector('#promo-message');
+        promotion = result.promotion || null;
+        message.textContent = result.error || (promotion ? describePromotion(promotion) : '');
+        message.className = result.error ? 'promo-error' : 'promo-ok';
+        updateTotals();
+      });
+      
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('bookings:create')) return false;
+      
+      // The room may have been taken since the search
+      if (checkOverlap(roomId, checkIn, checkOut)) {
+        alert('Phòng đã được đặt trong khoảng thời gian này');
+        return false;
+      }
+      
+      const selectedServices = Array.from(document.querySelectorAll('.service-checkbox input:checked'))
+        .map(input => ({
+          service_id: parseInt(input.value),
+          price: parseFloat(input.dataset.price),
+          quantity: 1
+        }));
+      
+      // Usage limits may have been reached since the code was applied
+      if (promotion) {
+        const result = validatePromotion(promotion.code, stay);
+        if (result.error) {
+          alert(result.error);
+          return false;
+        }
+      }
+      
+      createBooking(roomId, checkIn, checkOut, guests, selectedServices, null, promotion);
+      
+      alert('Đặt phòng thành công!');
+      setActiveSection('my-bookings');
+      return true;
+    }
+  });
+}
+
+/**
+ * Create a PENDING booking for the current user with its services,
+ * priced, taxed and given its cancellation policy as of today
+ */
+function createBooking(roomId, checkIn, checkOut, guests, services = [], reservationId = null, promotion = null) {
+  const room = state.rooms.find(r => r.room_id === roomId);
+  const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+  const roomPrice = calculateRoomPrice(roomType, checkIn, checkOut);
+  const servicesTotal = services.reduce((sum, service) => sum + service.price, 0);
+  const discount = calculateDiscount(promotion, roomPrice.total);
+  const totals = calculateTotals(roomPrice.total, servicesTotal, discount);
+  
+  const booking = insertRecord('bookings', {
+    user_id: state.currentUser.user_id,
+    room_id: roomId,
+    reservation_id: reservationId,
+    check_in_date: checkIn,
+    check_out_date: checkOut,
+    number_of_guests: guests,
+    status: 'PENDING',
+    total_amount: totals.total,
+    nightly_rates: roomPrice.nights,
+    room_amount: roomPrice.total,
+    subtotal: totals.subtotal,
+    tax_lines: totals.taxLines,
+    prices_include_tax: totals.prices_include_tax,
+    promotion: promotion && {
+      promo_id: promotion.promo_id,
+      code: promotion.code,
+      discount_type: promotion.discount_type,
+      value: promotion.value
+    },
+    discount_amount: discount,
+    cancellation_policy: resolveCancellationPolicy(roomType.type_id, checkIn),
+    status_history: [statusHistoryEntry(null, 'PENDING')]
+  });
+  
+  // Add booking services
+  services.forEach(service => {
+    insertRecord('bookingServices', {
+      booking_id: booking.booking_id,
+      service_id: service.service_id,
+      quantity: service.quantity,
+      price: service.price
+    });
+  });
+  
+  return booking;
+}
+
+/* =========================
+   Group Reservations
+   ========================= */
+
+/*
+ * A reservation groups several room bookings made together with shared
+ * dates and one guest contact. Each room stays a normal booking (with
+ * reservation_id set) so the lifecycle, front desk and ledger work per room;
+ * group payments are split across the rooms and invoiced together.
+ */
+
+function getReservationBookings(reservationId) {
+  return state.bookings.filter(b => b.reservation_id === reservationId);
+}
+
+/**
+ * Keep the group's guest count equal to that of its rooms
+ */
+function syncReservationGuests(reservationId) {
+  const reservation = findRecord('reservations', reservationId);
+  const guests = getReservationBookings(reservationId)
+    .filter(b => b.status !== 'CANCELLED')
+    .reduce((sum, b) => sum + b.number_of_guests, 0);
+  if (reservation && reservation.number_of_guests !== guests) {
+    updateRecord('reservations', reservationId, { number_of_guests: guests });
+  }
+}
+
+/**
+ * Fewest rooms, largest first and cheapest among equals, that hold
+ * all guests in at least roomCount rooms; empty when it cannot be done
+ */
+function suggestRoomCombination(rooms, guests, roomCount) {
+  const capacityOf = room => roomTypeOf(room).capacity;
+  const sorted = [...rooms].sort((a, b) =>
+    (capacityOf(b) - capacityOf(a)) || (roomTypeOf(a).base_price - roomTypeOf(b).base_price)
+  );
+  
+  const picked = [];
+  let capacity = 0;
+  for (const room of sorted) {
+    if (picked.length >= roomCount && capacity >= guests) break;
+    picked.push(room);
+    capacity += capacityOf(room);
+  }
+  return picked.length >= roomCount && capacity >= guests ? picked : [];
+}
+
+function renderGroupRoomOptions(rooms, checkIn, checkOut, guests, roomCount) {
+  const availableRoomsContainer = document.getElementById('available-rooms');
+  const suggested = suggestRoomCombination(rooms, guests, roomCount);
+  
+  if (suggested.length === 0) {
+    availableRoomsContainer.innerHTML = html`
+      <div class="no-rooms">
+        <h3>Không đủ phòng trống cho ${guests} khách</h3>
+        <p>Vui lòng thử lại với ngày hoặc loại phòng khác</p>
+      </div>
+    `;
+    return;
+  }
+  
+  const nights = calculateNights(checkIn, checkOut);
+  availableRoomsContainer.innerHTML = html`
+    <h3>Đặt nhiều phòng cho ${guests} khách</h3>
+    <p>Gợi ý ${suggested.length} phòng, bạn có thể chọn lại:</p>
+    <div class="rooms-list">
+      ${rooms.map(room => {
+        const roomType = roomTypeOf(room);
+        const roomPrice = calculateRoomPrice(roomType, checkIn, checkOut);
+        
+        return html`
+          <label class="available-room group-room">
+            <input type="checkbox" class="group-room-check" value="${room.room_id}" data-capacity="${roomType.capacity}" data-price="${roomPrice.total}" ${suggested.includes(room) ? 'checked' : ''}>
+            <div class="room-info">
+              <h4>Phòng ${room.room_number} - ${roomType.name}</h4>
+              <div class="room-details">
+                <span>👥 ${roomType.capacity} người</span>
+                <span>🏨 ${nights} đêm</span>
+              </div>
+            </div>
+            <div class="room-pricing">
+              <div class="total-price">${formatMoney(roomPrice.total)}</div>
+            </div>
+          </label>
+        `;
+      })}
+    </div>
+    <div class="group-summary">
+      <span id="group-selection"></span>
+      <button id="btn-book-group" class="primary">Đặt các phòng đã chọn</button>
+    </div>
+  `;
+  
+  const checks = availableRoomsContainer.querySelectorAll('.group-room-check');
+  const selected = () => Array.from(checks).filter(input => input.checked);
+  const updateSelection = () => {
+    const capacity = selected().reduce((sum, input) => sum + parseInt(input.dataset.capacity), 0);
+    const price = selected().reduce((sum, input) => sum + parseFloat(input.dataset.price), 0);
+    document.getElementById('group-selection').textContent =
+      `${selected().length} phòng - ${capacity}/${guests} chỗ - ${formatMoney(price)}`;
+  };
+  checks.forEach(input => input.addEventListener('change', updateSelection));
+  updateSelection();
+  
+  document.getElementById('btn-book-group').addEventListener('click', () => {
+    showGroupBookingForm(selected().map(input => parseInt(input.value)), checkIn, checkOut, guests);
+  });
+}
+
+function showGroupBookingForm(roomIds, checkIn, checkOut, guests) {
+  if (!requirePermission('bookings:create')) return;
+  
+  const rooms = roomIds.map(id => state.rooms.find(r => r.room_id === id));
+  const capacity = rooms.reduce((sum, room) => sum + roomTypeOf(room).capacity, 0);
+  
+  if (rooms.length < 2) {
+    alert('Vui lòng chọn ít nhất 2 phòng');
+    return;
+  }
+  
+  if (capacity < guests) {
+    alert(`Các phòng đã chọn chỉ đủ cho ${capacity} khách`);
+    return;
+  }
+  
+  // Fill rooms in order, leaving at least one guest for each remaining room
+  let unassigned = guests;
+  const guestsPerRoom = rooms.map((room, index) => {
+    const count = Math.max(1, Math.min(roomTypeOf(room).capacity, unassigned - (rooms.length - index - 1)));
+    unassigned -= count;
+    return count;
+  });
+  
+  const prices = rooms.map(room => calculateRoomPrice(roomTypeOf(room), checkIn, checkOut));
+  const totals = combineTotals(prices.map(price => calculateTotals(price.total, 0)));
+  const user = state.users.find(u => u.user_id === state.currentUser.user_id);
+  
+  openModal({
+    title: `Đặt ${rooms.length} phòng theo nhóm`,
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="booking-summary">
+          <h4>Thông tin đặt phòng</h4>
+          <p><strong>Ngày nhận:</strong> ${checkIn}</p>
+          <p><strong>Ngày trả:</strong> ${checkOut}</p>
+          <p><strong>Số đêm:</strong> ${calculateNights(checkIn, checkOut)}</p>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_group_contact_name">Người liên hệ *</label>
+          <input type="text" id="f_group_contact_name" value="${user.full_name}" required>
+        </div>
+        
+        <div class="form-row">
+          <div class="form-col form-group">
+            <label for="f_group_contact_phone">Điện thoại *</label>
+            <input type="tel" id="f_group_contact_phone" value="${user.phone || ''}" required>
+          </div>
+          <div class="form-col form-group">
+            <label for="f_group_contact_email">Email</label>
+            <input type="email" id="f_group_contact_email" value="${user.email}">
+          </div>
+        </div>
+        
+        <h4>Phòng và số khách</h4>
+        ${rooms.map((room, index) => html`
+          <div class="form-group">
+            <label for="f_group_guests_${room.room_id}">
+              Phòng ${room.room_number} - ${roomTypeOf(room).name} (tối đa ${roomTypeOf(room).capacity}) - ${formatMoney(prices[index].total)}
+              <br><small>${describeCancellationPolicy(resolveCancellationPolicy(room.type_id, checkIn))}</small>
+            </label>
+            <input type="number" id="f_group_guests_${room.room_id}" class="f_group_guests" value="${guestsPerRoom[index]}" min="1" max="${roomTypeOf(room).capacity}">
+          </div>
+        `)}
+        
+        <div class="total-amount">
+          ${renderTotalsBreakdown(totals)}
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('bookings:create')) return false;
+      
+      const contactName = document.getElementById('f_group_contact_name').value.trim();
+      const contactPhone = document.getElementById('f_group_contact_phone').value.trim();
+      const contactEmail = document.getElementById('f_group_contact_email').value.trim();
+      const counts = rooms.map(room => parseInt(document.getElementById(`f_group_guests_${room.room_id}`).value));
+      
+      if (!contactName || !contactPhone) {
+        alert('Vui lòng nhập tên và số điện thoại người liên hệ');
+        return false;
+      }
+      
+      const overfull = rooms.find((room, index) => !(counts[index] >= 1 && counts[index] <= roomTypeOf(room).capacity));
+      if (overfull) {
+        alert(`Số khách phòng ${overfull.room_number} phải từ 1 đến ${roomTypeOf(overfull).capacity}`);
+        return false;
+      }
+      
+      // Rooms may have been taken since the search
+      const taken = rooms.find(room => checkOverlap(room.room_id, checkIn, checkOut));
+      if (taken) {
+        alert(`Phòng ${taken.room_number} đã được đặt trong khoảng thời gian này`);
+        return false;
+      }
+      
+      const reservation = insertRecord('reservations', {
+        user_id: state.currentUser.user_id,
+        contact_name: contactName,
+        contact_phone: contactPhone,
+        contact_email: contactEmail,
+        check_in_date: checkIn,
+        check_out_date: checkOut,
+        number_of_guests: counts.reduce((sum, count) => sum + count, 0),
+        created_at: new Date().toISOString()
+      });
+      
+      rooms.forEach((room, index) => {
+        createBooking(room.room_id, checkIn, checkOut, counts[index], [], reservation.reservation_id);
+      });
+      
+      alert(`Đã đặt ${rooms.length} phòng theo nhóm #${reservation.reservation_id}`);
+      setActiveSection('my-bookings');
+      return true;
+    }
+  });
+}
+
+function showReservation(reservationId) {
+  const reservation = findRecord('reservations', reservationId);
+  if (reservation.user_id !== state.currentUser.user_id && !requirePermission('bookings:read')) return;
+  
+  const bookings = getReservationBookings(reservationId);
+  const balance = bookings.reduce((sum, b) => sum + getBookingBalance(b), 0);
+  const paid = bookings.reduce((sum, b) => sum + getAmountPaid(b.booking_id), 0);
+  const active = bookings.filter(b => b.status !== 'CANCELLED');
+  
+  openModal({
+    title: `Đặt phòng nhóm #${reservationId}`,
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="booking-details">
+          <p><strong>Người liên hệ:</strong> ${reservation.contact_name} - ${reservation.contact_phone}${reservation.contact_email ? ` - ${reservation.contact_email}` : ''}</p>
+          <p><strong>Ngày nhận:</strong> ${reservation.check_in_date}</p>
+          <p><strong>Ngày trả:</strong> ${reservation.check_out_date}</p>
+          
+          <div class="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Đơn</th>
+                  <th>Phòng</th>
+                  <th>Số khách</th>
+                  <th>Trạng thái</th>
+                  <th>Tổng tiền</th>
+                  <th>Còn lại</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${bookings.map(booking => html`
+                  <tr>
+                    <td>#${booking.booking_id}</td>
+                    <td>${roomOf(booking).room_number} - ${roomTypeOf(roomOf(booking)).name}</td>
+                    <td>${booking.number_of_guests}</td>
+                    <td><span class="status-${booking.status.toLowerCase()}">${BOOKING_STATUS_LABELS[booking.status]}</span></td>
+                    <td>${formatMoney(booking.total_amount)}</td>
+                    <td>${formatMoney(getBookingBalance(booking))}</td>
+                  </tr>
+                `)}
+              </tbody>
+            </table>
+          </div>
+          
+          <div class="total-amount">
+            ${renderTotalsBreakdown(combineTotals(active.map(getBookingTotals)))}
+          </div>
+          <p><strong>Đã thanh toán:</strong> ${formatMoney(paid)}</p>
+          <p><strong>Còn lại:</strong> ${formatMoney(balance)}</p>
+          
+          <div class="group-actions">
+            ${hasPermission('payments:write') && balance > 0 ? html`<button class="btn" data-action="showGroupPaymentForm" data-id="${reservationId}">Thanh toán nhóm</button>` : ''}
+            ${hasPermission('bookings:read') ? html`<button class="btn" data-action="showGroupInvoice" data-id="${reservationId}">Hóa đơn nhóm</button>` : ''}
+          </div>
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => true
+  });
+}
+
+/**
+ * Record one payment for the whole group, split across its rooms in
+ * proportion to what each still owes so deposits confirm every room
+ */
+function showGroupPaymentForm(reservationId) {
+  if (!requirePermission('payments:write')) return;
+  
+  const bookings = getReservationBookings(reservationId).filter(b => getBookingBalance(b) > 0);
+  const balance = bookings.reduce((sum, b) => sum + getBookingBalance(b), 0);
+  
+  if (balance <= 0) {
+    alert('Nhóm này không còn khoản nào phải trả');
+    return;
+  }
+  
+  openModal({
+    title: `Thanh toán cho nhóm #${reservationId}`,
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="booking-info">
+          <p><strong>Số phòng còn nợ:</strong> ${bookings.length}</p>
+          <p><strong>Còn lại:</strong> ${formatMoney(balance)}</p>
+          <p><strong>Đặt cọc tối thiểu:</strong> ${formatMoney(bookings.reduce((sum, b) => sum + Math.ceil(b.total_amount * DEPOSIT_RATE), 0))}</p>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_group_payment_type">Loại thanh toán *</label>
+          <select id="f_group_payment_type" required>
+            ${['DEPOSIT', 'PARTIAL', 'SETTLEMENT'].map(type => html`
+              <option value="${type}">${PAYMENT_TYPE_LABELS[type]}</option>
+            `)}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_group_payment_amount">Số tiền *</label>
+          <input type="number" id="f_group_payment_amount" value="${balance}" min="0" max="${balance}" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_group_payment_method">Phương thức *</label>
+          <select id="f_group_payment_method" required>
+            ${Object.entries(PAYMENT_METHODS).map(([value, label]) => html`
+              <option value="${value}">${label}</option>
+            `)}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_group_payment_date">Ngày thanh toán *</label>
+          <input type="date" id="f_group_payment_date" value="${todayISO()}" required>
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('payments:write')) return false;
+      
+      const paymentType = document.getElementById('f_group_payment_type').value;
+      const amount = parseFloat(document.getElementById('f_group_payment_amount').value);
+      const method = document.getElementById('f_group_payment_method').value;
+      const date = document.getElementById('f_group_payment_date').value;
+      
+      if (!(amount > 0) || amount > balance || !date) {
+        alert(`Số tiền phải trong khoảng 0 - ${formatMoney(balance)}`);
+        return false;
+      }
+      
+      // The last room takes the rounding remainder
+      let remaining = amount;
+      bookings.forEach((booking, index) => {
+        const share = index === bookings.length - 1 ?
+          remaining :
+          Math.round(amount * getBookingBalance(booking) / balance);
+        remaining -= share;
+        if (share <= 0) return;
+        
+        insertRecord('payments', {
+          booking_id: booking.booking_id,
+          reservation_id: reservationId,
+          amount: share,
+          payment_method: method,
+          payment_date: date,
+          status: 'PAID',
+          payment_type: paymentType
+        });
+        updateBookingAfterPayment(booking);
+      });
+      
+      alert('Đã ghi nhận thanh toán cho nhóm');
+      if (hasPermission('bookings:read')) renderBookings();
+      return true;
+    }
+  });
+}
+
+/* =========================
+   My Bookings
+   ========================= */
+
+function renderMyBookings() {
+  const tbody = document.querySelector('#tbl-my-bookings tbody');
+  tbody.innerHTML = '';
+  
+  const myBookings = state.bookings.filter(b => b.user_id === state.currentUser.user_id);
+  
+  myBookings.forEach(booking => {
+    const room = state.rooms.find(r => r.room_id === booking.room_id);
+    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+    
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>#${booking.booking_id}</td>
+      <td>${room.room_number} - ${roomType.name}</td>
+      <td>${booking.check_in_date}</td>
+      <td>${booking.check_out_date}</td>
+      <td>${formatMoney(booking.total_amount)}</td>
+      <td><span class="status-${booking.status.toLowerCase()}">${booking.status}</span></td>
+      <td>
+        <button class="btn btn-edit" data-action="viewBookingDetails" data-id="${booking.booking_id}">Xem</button>
+        ${booking.reservation_id ? html`
+          <button class="btn" data-action="showReservation" data-id="${booking.reservation_id}">Nhóm #${booking.reservation_id}</button>
+        ` : ''}
+        ${MODIFIABLE_STATUSES.includes(booking.status) ? html`
+          <button class="btn" data-action="showModifyBookingForm" data-id="${booking.booking_id}">Thay đổi</button>
+        ` : ''}
+        ${booking.status === 'PENDING' ? html`
+          <button class="btn btn-delete" data-action="cancelBooking" data-id="${booking.booking_id}">Hủy</button>
+        ` : ''}
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+function viewBookingDetails(bookingId) {
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  if (booking.user_id !== state.currentUser.user_id && !requirePermission('bookings:read')) return;
+  
+  const room = state.rooms.find(r => r.room_id === booking.room_id);
+  const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+  const bookingServices = state.bookingServices.filter(bs => bs.booking_id === bookingId);
+  
+  openModal({
+    title: `Chi tiết đơn đặt #${bookingId}`,
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="booking-details">
+          <p><strong>Phòng:</strong> ${room.room_number} - ${roomType.name}</p>
+          <p><strong>Ngày nhận:</strong> ${booking.check_in_date}</p>
+          <p><strong>Ngày trả:</strong> ${booking.check_out_date}</p>
+          <p><strong>Số khách:</strong> ${booking.number_of_guests}</p>
+          <p><strong>Trạng thái:</strong> ${BOOKING_STATUS_LABELS[booking.status]}</p>
+          <p><strong>Chính sách hủy:</strong> ${describeCancellationPolicy(getCancellationPolicy(booking))}</p>
+          ${booking.promotion ? html`<p><strong>Mã khuyến mãi:</strong> ${booking.promotion.code}</p>` : ''}
+          ${booking.cancellation_fee !== undefined ? html`<p><strong>Phí hủy:</strong> ${formatMoney(booking.cancellation_fee)}</p>` : ''}
+          
+          ${booking.nightly_rates ? html`
+            <h4>Giá phòng theo đêm:</h4>
+            ${renderNightlyRates(booking.nightly_rates)}
+          ` : ''}
+          
+          ${bookingServices.length > 0 ? html`
+            <h4>Dịch vụ đã chọn:</h4>
+            <ul>
+              ${bookingServices.map(bs => {
+                const service = state.services.find(s => s.service_id === bs.service_id);
+                return html`<li>${service.name} - ${formatMoney(bs.price)}</li>`;
+              })}
+            </ul>
+          ` : ''}
+          
+          <div class="total-amount">
+            ${renderTotalsBreakdown(getBookingTotals(booking))}
+          </div>
+          <p><strong>Đã thanh toán:</strong> ${formatMoney(getAmountPaid(bookingId))}</p>
+          <p><strong>Còn lại:</strong> ${formatMoney(getBookingBalance(booking))}</p>
+          
+          ${renderStatusHistory(booking)}
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => true
+  });
+}
+
+/* =========================
+   Booking Modification
+   ========================= */
+
+// Bookings the guest can still change before arrival
+const MODIFIABLE_STATUSES = ['PENDING', 'CONFIRMED'];
+
+function showModifyBookingForm(bookingId) {
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  const isOwn = booking.user_id === state.currentUser.user_id;
+  if (!requirePermission(isOwn ? 'bookings:modify' : 'bookings:write')) return;
+  
+  if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+    alert('Chỉ có thể thay đổi đơn chưa nhận phòng');
+    return;
+  }
+  
+  const currentServices = state.bookingServices.filter(bs => bs.booking_id === bookingId);
+  const quantityOf = serviceId => currentServices
+    .filter(bs => bs.service_id === serviceId)
+    .reduce((sum, bs) => sum + bs.quantity, 0);
+  const today = todayISO();
+  
+  openModal({
+    title: `Thay đổi đơn đặt #${bookingId}`,
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="form-group">
+          <label for="f_modify_check_in">Ngày nhận phòng *</label>
+          <input type="date" id="f_modify_check_in" value="${booking.check_in_date}" min="${today}" required ${booking.reservation_id ? 'disabled' : ''}>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_modify_check_out">Ngày trả phòng *</label>
+          <input type="date" id="f_modify_check_out" value="${booking.check_out_date}" min="${today}" required ${booking.reservation_id ? 'disabled' : ''}>
+          ${booking.reservation_id ? html`<small>Các phòng của nhóm #${booking.reservation_id} dùng chung ngày lưu trú</small>` : ''}
+        </div>
+        
+        <div class="form-group">
+          <label for="f_modify_guests">Số khách *</label>
+          <input type="number" id="f_modify_guests" value="${booking.number_of_guests}" min="1" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_modify_room">Phòng *</label>
+          <select id="f_modify_room" required></select>
+        </div>
+        
+        <div class="services-selection">
+          <h4>Dịch vụ bổ sung</h4>
+          ${state.services.map(service => html`
+            <label class="service-checkbox">
+              <input type="number" class="f_modify_service" data-service="${service.service_id}" value="${quantityOf(service.service_id)}" min="0">
+              <span>${service.name} - ${formatMoney(service.price)}</span>
+            </label>
+          `)}
+        </div>
+        
+        <div class="total-amount" id="modify-totals"></div>
+      `;
+      
+      div.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => updateModifyPreview(booking));
+      });
+      div.querySelector('#f_modify_room').addEventListener('change', () => updateModifyPreview(booking, false));
+      setTimeout(() => updateModifyPreview(booking), 0);
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission(isOwn ? 'bookings:modify' : 'bookings:write')) return false;
+      
+      const change = readModifyForm(booking);
+      if (change.error) {
+        alert(change.error);
+        return false;
+      }
+      
+      // Availability may have changed while the form was open
+      if (checkOverlap(change.room.room_id, change.checkIn, change.checkOut, bookingId)) {
+        alert('Phòng đã được đặt trong khoảng thời gian này');
+        return false;
+      }
+      
+      const difference = change.totals.total - booking.total_amount;
+      const promotionNote = change.promotionError ? `${change.promotionError}\n` : '';
+      if ((difference !== 0 || promotionNote) && !confirm(`${promotionNote}Chênh lệch so với đơn hiện tại: ${difference > 0 ? '+' : ''}${formatMoney(difference)}. Xác nhận thay đổi?`)) {
+        return false;
+      }
+      
+      applyBookingChange(booking, change);
+      alert('Đã cập nhật đơn đặt thành công');
+      if (isOwn) renderMyBookings();
+      return true;
+    }
+  });
+}
+
+/**
+ * Read the modify form; returns the new stay, price and services or an error
+ */
+function readModifyForm(booking) {
+  const checkIn = document.getElementById('f_modify_check_in').value;
+  const checkOut = document.getElementById('f_modify_check_out').value;
+  const guests = parseInt(document.getElementById('f_modify_guests').value);
+  const room = state.rooms.find(r => r.room_id === parseInt(document.getElementById('f_modify_room').value));
+  
+  if (!checkIn || !checkOut || checkOut <= checkIn) {
+    return { error: 'Ngày trả phòng phải sau ngày nhận phòng' };
+  }
+  if (checkIn < todayISO() && checkIn !== booking.check_in_date) {
+    return { error: 'Không thể chuyển ngày nhận phòng về ngày đã qua' };
+  }
+  if (booking.reservation_id && (checkIn !== booking.check_in_date || checkOut !== booking.check_out_date)) {
+    return { error: `Các phòng của nhóm #${booking.reservation_id} dùng chung ngày lưu trú, không thể đổi ngày riêng` };
+  }
+  if (!(guests >= 1)) {
+    return { error: 'Số khách không hợp lệ' };
+  }
+  if (!room) {
+    return { error: 'Không còn phòng trống phù hợp cho thời gian này' };
+  }
+  
+  const services = Array.from(document.querySelectorAll('.f_modify_service'))
+    .map(input => ({ service_id: parseInt(input.dataset.service), quantity: Math.max(0, parseInt(input.value) || 0) }));
+  const servicesTotal = services.reduce((sum, s) => {
+    const service = state.services.find(x => x.service_id === s.service_id);
+    return sum + service.price * s.quantity;
+  }, 0);
+  
+  const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+  const price = calculateRoomPrice(roomType, checkIn, checkOut);
+  
+  // The discount is dropped when the code no longer fits the changed stay
+  let promotion = booking.promotion || null;
+  let promotionError = null;
+  if (promotion) {
+    const result = validatePromotion(promotion.code, {
+      typeId: room.type_id,
+      checkIn: checkIn,
+      checkOut: checkOut,
+      userId: booking.user_id,
+      bookingId: booking.booking_id
+    });
+    if (result.error) {
+      promotionError = `Mã khuyến mãi ${promotion.code} sẽ bị bỏ: ${result.error}`;
+      promotion = null;
+    }
+  }
+  const totals = calculateBookingTotals(booking, price.total, servicesTotal, promotion);
+  
+  // A change never loosens the policy agreed at booking time
+  const changed = { ...booking, total_amount: totals.total, nightly_rates: price.nights };
+  const policy = stricterCancellationPolicy(changed,
+    getCancellationPolicy(booking),
+    resolveCancellationPolicy(room.type_id, checkIn));
+  
+  return {
+    checkIn: checkIn,
+    checkOut: checkOut,
+    guests: guests,
+    room: room,
+    price: price,
+    services: services,
+    totals: totals,
+    policy: policy,
+    promotion: promotion,
+    promotionError: promotionError
+  };
+}
+
+/**
+ * Refresh the room list for the chosen dates and the price comparison
+ */
+function updateModifyPreview(booking, refreshRooms = true) {
+  const select = document.getElementById('f_modify_room');
+  if (!select) return;
+  
+  if (refreshRooms) {
+    const checkIn = document.getElementById('f_modify_check_in').value;
+    const checkOut = document.getElementById('f_modify_check_out').value;
+    const guests = parseInt(document.getElementById('f_modify_guests').value) || 1;
+    const selected = parseInt(select.value) || booking.room_id;
+    const rooms = checkIn && checkOut > checkIn ? findAvailableRooms(checkIn, checkOut, guests, booking.booking_id) : [];
+    
+    select.innerHTML = html`${rooms.map(room => {
+      const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+      return html`<option value="${room.room_id}" ${room.room_id === selected ? 'selected' : ''}>${room.room_number} - ${roomType.name}</option>`;
+    })}`;
+  }
+  
+  const change = readModifyForm(booking);
+  const container = document.getElementById('modify-totals');
+  if (change.error) {
+    container.innerHTML = html`<p class="empty-row">${change.error}</p>`;
+    return;
+  }
+  
+  const difference = change.totals.total - booking.total_amount;
+  const balance = change.totals.total - getAmountPaid(booking.booking_id);
+  container.innerHTML = html`
+    ${renderNightlyRates(change.price.nights)}
+    ${renderTotalsBreakdown(change.totals)}
+    <div class="total-row"><span>Tổng cũ</span><span>${formatMoney(booking.total_amount)}</span></div>
+    <div class="total-row"><span>Chênh lệch</span><span>${difference > 0 ? '+' : ''}${formatMoney(difference)}</span></div>
+    <div class="total-row"><span>${balance >= 0 ? 'Còn phải trả' : 'Sẽ được hoàn'}</span><span>${formatMoney(Math.abs(balance))}</span></div>
+    ${change.promotionError ? html`<p class="promo-error">${change.promotionError}</p>` : ''}
+    <p><strong>Chính sách hủy:</strong> ${describeCancellationPolicy(change.policy)}</p>
+  `;
+}
+
+/**
+ * Update the booking and its services in place
+ */
+function applyBookingChange(booking, change) {
+  updateRecord('bookings', booking.booking_id, {
+    room_id: change.room.room_id,
+    check_in_date: change.checkIn,
+    check_out_date: change.checkOut,
+    number_of_guests: change.guests,
+    nightly_rates: change.price.nights,
+    cancellation_policy: change.policy,
+    promotion: change.promotion
+  });
+  
+  change.services.forEach(({ service_id, quantity }) => {
+    const rows = state.bookingServices.filter(bs => bs.booking_id === booking.booking_id && bs.service_id === service_id);
+    const current = rows.reduce((sum, bs) => sum + bs.quantity, 0);
+    if (current === quantity) return;
+    
+    // Keep the price the guest was quoted for services already on the booking
+    if (rows.length === 1 && quantity > 0) {
+      const unitPrice = rows[0].price / rows[0].quantity;
+      updateRecord('bookingServices', rows[0].booking_service_id, { quantity: quantity, price: unitPrice * quantity });
+      return;
+    }
+    
+    rows.forEach(bs => removeRecord('bookingServices', bs.booking_service_id));
+    if (quantity > 0) {
+      const service = state.services.find(s => s.service_id === service_id);
+      insertRecord('bookingServices', {
+        booking_id: booking.booking_id,
+        service_id: service_id,
+        quantity: quantity,
+        price: service.price * quantity
+      });
+    }
+  });
+  
+  applyBookingTotals(booking, change.price.total);
+  if (booking.reservation_id) syncReservationGuests(booking.reservation_id);
+}
+
+/**
+ * Cancel a booking under its cancellation policy
+ * Guests may cancel while PENDING; staff may also cancel CONFIRMED bookings
+ */
+function cancelBooking(bookingId) {
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  const isOwn = booking.user_id === state.currentUser.user_id;
+  const canManage = hasPermission('bookings:write');
+  if (!canManage && !requirePermission(isOwn ? 'bookings:cancel' : 'bookings:write')) return false;
+  
+  if (booking.status !== 'PENDING' && !(booking.status === 'CONFIRMED' && canManage)) {
+    alert(booking.status === 'CONFIRMED' ?
+      'Đơn đã xác nhận, vui lòng liên hệ lễ tân để hủy' :
+      `Không thể hủy đơn ở trạng thái "${BOOKING_STATUS_LABELS[booking.status]}"`);
+    return false;
+  }
+  
+  const quote = quoteCancellation(booking);
+  const message = [
+    `Hủy đơn đặt #${bookingId}?`,
+    `Chính sách: ${describeCancellationPolicy(quote.policy)}`,
+    `Phí hủy: ${formatMoney(quote.fee)}`,
+    quote.refund > 0 ? `Hoàn lại: ${formatMoney(quote.refund)}` : '',
+    quote.due > 0 ? `Còn phải trả phí hủy: ${formatMoney(quote.due)}` : ''
+  ].filter(Boolean).join('\n');
+  if (!confirm(message)) return false;
+  
+  if (!transitionBooking(booking, 'CANCELLED')) return false;
+  settleCancellation(booking, quote);
+  
+  renderMyBookings();
+  if (canManage) renderBookings();
+  alert('Đã hủy đơn đặt thành công');
+  return true;
+}
+
+/**
+ * Fee, refund and amount still owed if the booking were cancelled today
+ */
+function quoteCancellation(booking) {
+  const policy = getCancellationPolicy(booking);
+  const fee = calculateCancellationFee(booking, policy);
+  const paid = getAmountPaid(booking.booking_id);
+  
+  return {
+    policy: policy,
+    fee: fee,
+    refund: Math.max(paid - fee, 0),
+    due: Math.max(fee - paid, 0)
+  };
+}
+
+/**
+ * Refund what was paid above the fee, newest payments first,
+ * and record any fee not yet covered as a pending charge
+ */
+function settleCancellation(booking, quote) {
+  updateRecord('bookings', booking.booking_id, { cancellation_fee: quote.fee });
+  
+  let remaining = quote.refund;
+  state.payments
+    .filter(p => p.booking_id === booking.booking_id && p.status === 'PAID')
+    .sort((a, b) => b.payment_id - a.payment_id)
+    .forEach(payment => {
+      const amount = Math.min(remaining, payment.amount - getRefundedAmount(payment.payment_id));
+      if (amount <= 0) return;
+      
+      insertRecord('payments', {
+        booking_id: booking.booking_id,
+        amount: -amount,
+        payment_method: payment.payment_method,
+        payment_date: todayISO(),
+        status: 'REFUNDED',
+        payment_type: 'REFUND',
+        refund_of: payment.payment_id,
+        note: 'Hoàn tiền do hủy đơn'
+      });
+      remaining -= amount;
+    });
+  
+  if (quote.due > 0) {
+    insertRecord('payments', {
+      booking_id: booking.booking_id,
+      amount: quote.due,
+      payment_method: 'Cash',
+      payment_date: todayISO(),
+      status: 'PENDING',
+      payment_type: 'CANCELLATION_FEE',
+      note: `Phí hủy theo chính sách "${quote.policy.name}"`
+    });
+  }
+}
+
+/* =========================
+   Table Views (search, filter, sort, paging)
+   ========================= */
+
+const PAGE_SIZES = [10, 25, 50];
+
+const ROOM_STATUS_LABELS = {
+  Available: 'Có sẵn',
+  Occupied: 'Đã thuê',
+  Maintenance: 'Bảo trì',
+  Cleaning: 'Đang dọn'
+};
+const ROOM_STATUSES = Object.keys(ROOM_STATUS_LABELS);
+
+const labelOptions = labels => Object.entries(labels);
+const roomTypeOptions = () => state.roomTypes.map(t => [String(t.type_id), t.name]);
+const roomTypeOf = room => state.roomTypes.find(t => t.type_id === room?.type_id);
+const roomOf = booking => state.rooms.find(r => r.room_id === booking?.room_id);
+const userOf = record => state.users.find(u => u.user_id === record?.user_id);
+const bookingOf = payment => state.bookings.find(b => b.booking_id === payment.booking_id);
+
+/**
+ * Per table: the text searched, the filters offered and the sortable columns
+ * (matching data-sort on the table headers).
+ * Filters are 'select' (value(record) equals the chosen option) or
+ * 'dateRange' (value(record) returns [start, end], kept when it overlaps).
+ */
+const TABLE_VIEWS = {
+  'rooms': {
+    render: () => renderRooms(),
+    rows: () => state.rooms,
+    search: r => [r.room_number, roomTypeOf(r)?.name, r.features],
+    filters: [
+      { key: 'status', label: 'Tình trạng', type: 'select', options: () => labelOptions(ROOM_STATUS_LABELS), value: r => r.status },
+      { key: 'type', label: 'Loại phòng', type: 'select', options: roomTypeOptions, value: r => String(r.type_id) }
+    ],
+    sorts: {
+      id: r => r.room_id,
+      number: r => r.room_number,
+      type: r => roomTypeOf(r)?.name,
+      status: r => r.status,
+      price: r => roomTypeOf(r)?.base_price
+    }
+  },
+  'room-types': {
+    render: () => renderRoomTypes(),
+    rows: () => state.roomTypes,
+    search: t => [t.name, t.description],
+    filters: [],
+    sorts: {
+      id: t => t.type_id,
+      name: t => t.name,
+      capacity: t => t.capacity,
+      price: t => t.base_price,
+      rooms: t => state.rooms.filter(r => r.type_id === t.type_id).length
+    }
+  },
+  'rate-rules': {
+    render: () => renderRateRules(),
+    rows: () => state.rateRules,
+    search: r => [r.name, roomTypeOf(r)?.name],
+    filters: [
+      { key: 'type', label: 'Loại phòng', type: 'select', options: roomTypeOptions, value: r => String(r.type_id) }
+    ],
+    sorts: {
+      id: r => r.rule_id,
+      name: r => r.name,
+      type: r => roomTypeOf(r)?.name || '',
+      priority: r => r.priority
+    }
+  },
+  'services': {
+    render: () => renderServices(),
+    rows: () => state.services,
+    search: s => [s.name, s.description],
+    filters: [],
+    sorts: {
+      id: s => s.service_id,
+      name: s => s.name,
+      price: s => s.price
+    }
+  },
+  'bookings': {
+    render: () => renderBookings(),
+    rows: () => state.bookings,
+    search: b => [`#${b.booking_id}`, userOf(b)?.full_name, userOf(b)?.email, roomOf(b)?.room_number],
+    filters: [
+      { key: 'status', label: 'Trạng thái', type: 'select', options: () => labelOptions(BOOKING_STATUS_LABELS), value: b => b.status },
+      { key: 'type', label: 'Loại phòng', type: 'select', options: roomTypeOptions, value: b => String(roomOf(b)?.type_id) },
+      { key: 'stay', label: 'Lưu trú', type: 'dateRange', value: b => [b.check_in_date, b.check_out_date] }
+    ],
+    sorts: {
+      id: b => b.booking_id,
+      customer: b => userOf(b)?.full_name,
+      room: b => roomOf(b)?.room_number,
+      check_in: b => b.check_in_date,
+      check_out: b => b.check_out_date,
+      total: b => b.total_amount,
+      balance: b => getBookingBalance(b),
+      status: b => b.status
+    },
+    defaultSort: { key: 'id', dir: 'desc' }
+  },
+  'users': {
+    render: () => renderUsers(),
+    rows: () => state.users,
+    search: u => [u.full_name, u.email, u.phone],
+    filters: [
+      { key: 'role', label: 'Vai trò', type: 'select', options: () => state.roles.map(r => [String(r.role_id), r.role_name]), value: u => String(u.role_id) }
+    ],
+    sorts: {
+      id: u => u.user_id,
+      name: u => u.full_name,
+      email: u => u.email,
+      role: u => state.roles.find(r => r.role_id === u.role_id)?.role_name
+    }
+  },
+  'payments': {
+    render: () => renderPayments(),
+    rows: () => state.payments,
+    search: p => [`#${p.payment_id}`, `#${p.booking_id}`, userOf(bookingOf(p))?.full_name],
+    filters: [
+      { key: 'status', label: 'Trạng thái', type: 'select', options: () => labelOptions(PAYMENT_STATUS_LABELS), value: p => p.status },
+      { key: 'method', label: 'Phương thức', type: 'select', options: () => labelOptions(PAYMENT_METHODS), value: p => p.payment_method },
+      { key: 'type', label: 'Loại', type: 'select', options: () => labelOptions(PAYMENT_TYPE_LABELS), value: p => p.payment_type },
+      { key: 'date', label: 'Ngày thanh toán', type: 'dateRange', value: p => [p.payment_date, p.payment_date] }
+    ],
+    sorts: {
+      id: p => p.payment_id,
+      booking: p => p.booking_id,
+      type: p => p.payment_type,
+      amount: p => p.amount,
+      method: p => p.payment_method,
+      date: p => p.payment_date,
+      status: p => p.status
+    },
+    defaultSort: { key: 'id', dir: 'desc' }
+  },
+  'audit-log': {
+    render: () => renderAuditLog(),
+    rows: () => state.auditLog,
+    search: e => [e.actor_name, auditEntityLabel(e.entity), `#${e.entity_id}`, ...Object.keys(e.changes)],
+    filters: [
+      { key: 'action', label: 'Hành động', type: 'select', options: () => labelOptions(AUDIT_ACTION_LABELS), value: e => e.action },
+      { key: 'entity', label: 'Đối tượng', type: 'select', options: () => [...new Set(state.auditLog.map(e => e.entity))].map(entity => [entity, auditEntityLabel(entity)]), value: e => e.entity },
+      { key: 'actor', label: 'Người thực hiện', type: 'select', options: () => state.users.map(u => [String(u.user_id), u.full_name]), value: e => String(e.actor_id) },
+      { key: 'date', label: 'Thời gian', type: 'dateRange', value: e => [e.at.slice(0, 10), e.at.slice(0, 10)] }
+    ],
+    sorts: {
+      id: e => e.audit_id,
+      at: e => e.at,
+      actor: e => e.actor_name || '',
+      action: e => e.action,
+      entity: e => auditEntityLabel(e.entity)
+    },
+    defaultSort: { key: 'id', dir: 'desc' }
+  }
+};
+
+// Chosen search/filter/sort/page per section, kept while navigating
+const tableViewState = {};
+
+function getTableViewState(view) {
+  if (!tableViewState[view]) {
+    tableViewState[view] = {
+      query: '',
+      filters: {},
+      sort: TABLE_VIEWS[view].defaultSort || null,
+      page: 1,
+      pageSize: PAGE_SIZES[0]
+    };
+  }
+  return tableViewState[view];
+}
+
+/**
+ * Lowercase without Vietnamese diacritics so "nguyen" finds "Nguyễn"
+ */
+function normalizeSearch(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase();
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), 'vi', { numeric: true });
+}
+
+/**
+ * Records matching the section's search and filters, in the chosen order
+ */
+function getFilteredRows(view) {
+  const config = TABLE_VIEWS[view];
+  const viewState = getTableViewState(view);
+  const query = normalizeSearch(viewState.query.trim());
+  
+  let rows = config.rows().filter(record => {
+    if (query && !normalizeSearch(config.search(record).join(' ')).includes(query)) return false;
+    
+    return config.filters.every(filter => {
+      const chosen = viewState.filters[filter.key];
+      if (filter.type === 'dateRange') {
+        const [start, end] = filter.value(record);
+        return (!chosen?.from || end >= chosen.from) && (!chosen?.to || start <= chosen.to);
+      }
+      return !chosen || filter.value(record) === chosen;
+    });
+  });
+  
+  if (viewState.sort) {
+    const sortValue = config.sorts[viewState.sort.key];
+    const direction = viewState.sort.dir === 'desc' ? -1 : 1;
+    rows = [...rows].sort((a, b) => compareValues(sortValue(a), sortValue(b)) * direction);
+  }
+  return rows;
+}
+
+/**
+ * Rows for the current page; also refreshes the toolbar, sort arrows and pager
+ */
+function applyTableView(view) {
+  const viewState = getTableViewState(view);
+  const rows = getFilteredRows(view);
+  const pageCount = Math.max(1, Math.ceil(rows.length / viewState.pageSize));
+  viewState.page = Math.min(Math.max(1, viewState.page), pageCount);
+  
+  renderTableToolbar(view);
+  renderSortIndicators(view);
+  renderPager(view, rows.length, pageCount);
+  
+  const start = (viewState.page - 1) * viewState.pageSize;
+  const pageRows = rows.slice(start, start + viewState.pageSize);
+  
+  if (pageRows.length === 0) {
+    const table = document.getElementById(`tbl-${view}`);
+    const columns = table.querySelectorAll('thead th').length;
+    table.querySelector('tbody').innerHTML = html`<tr><td colspan="${columns}" class="empty-row">Không có dữ liệu phù hợp</td></tr>`;
+  }
+  return pageRows;
+}
+
+/**
+ * Build the toolbar once, then keep select options in step with the data
+ */
+function renderTableToolbar(view) {
+  const config = TABLE_VIEWS[view];
+  const viewState = getTableViewState(view);
+  const toolbar = document.getElementById(`toolbar-${view}`);
+  
+  if (!toolbar.dataset.ready) {
+    toolbar.dataset.ready = 'true';
+    toolbar.innerHTML = html`
+      <input type="search" class="table-search" placeholder="Tìm kiếm..." value="${viewState.query}">
+      ${config.filters.map(filter => filter.type === 'dateRange' ? html`
+        <label class="table-filter">
+          <span>${filter.label}</span>
+          <input type="date" data-filter="${filter.key}" data-bound="from">
+          <input type="date" data-filter="${filter.key}" data-bound="to">
+        </label>
+      ` : html`
+        <label class="table-filter">
+          <span>${filter.label}</span>
+          <select data-filter="${filter.key}"></select>
+        </label>
+      `)}
+      <button type="button" class="btn table-reset">Xóa lọc</button>
+    `;
+    
+    toolbar.querySelector('.table-search').addEventListener('input', function() {
+      updateTableView(view, s => { s.query = this.value; });
+    });
+    toolbar.querySelectorAll('[data-filter]').forEach(input => {
+      input.addEventListener('change', () => updateTableView(view, s => {
+        const key = input.dataset.filter;
+        if (input.dataset.bound) {
+          s.filters[key] = { ...s.filters[key], [input.dataset.bound]: input.value };
+        } else {
+          s.filters[key] = input.value;
+        }
+      }));
+    });
+    toolbar.querySelector('.table-reset').addEventListener('click', () => {
+      toolbar.querySelectorAll('input').forEach(input => { input.value = ''; });
+      updateTableView(view, s => {
+        s.query = '';
+        s.filters = {};
+      });
+    });
+  }
+  
+  config.filters.filter(f => f.type === 'select').forEach(filter => {
+    const select = toolbar.querySelector(`select[data-filter="${filter.key}"]`);
+    const options = [['', 'Tất cả'], ...filter.options()];
+    const signature = JSON.stringify(options);
+    if (select.dataset.options !== signature) {
+      select.dataset.options = signature;
+      select.innerHTML = html`${options.map(([value, label]) => html`<option value="${value}">${label}</option>`)}`;
+    }
+    select.value = viewState.filters[filter.key] || '';
+  });
+}
+
+function renderSortIndicators(view) {
+  const sort = getTableViewState(view).sort;
+  document.querySelectorAll(`#tbl-${view} th[data-sort]`).forEach(th => {
+    th.classList.toggle('sort-asc', sort?.key === th.dataset.sort && sort.dir === 'asc');
+    th.classList.toggle('sort-desc', sort?.key === th.dataset.sort && sort.dir === 'desc');
+  });
+}
+
+function renderPager(view, total, pageCount) {
+  const viewState = getTableViewState(view);
+  const first = total === 0 ? 0 : (viewState.page - 1) * viewState.pageSize + 1;
+  const last = Math.min(total, viewState.page * viewState.pageSize);
+  
+  document.getElementById(`pager-${view}`).innerHTML = html`
+    <span>Hiển thị ${first}-${last} / ${total}</span>
+    <select data-action="setTablePageSize" data-view="${view}">
+      ${PAGE_SIZES.map(size => html`<option value="${size}" ${size === viewState.pageSize ? 'selected' : ''}>${size} / trang</option>`)}
+    </select>
+    <button class="btn" data-action="setTablePage" data-view="${view}" data-page="${viewState.page - 1}" ${viewState.page <= 1 ? 'disabled' : ''}>« Trước</button>
+    <span>Trang ${viewState.page} / ${pageCount}</span>
+    <button class="btn" data-action="setTablePage" data-view="${view}" data-page="${viewState.page + 1}" ${viewState.page >= pageCount ? 'disabled' : ''}>Sau »</button>
+  `;
+}
+
+/**
+ * Change a section's view state and re-render it from the first page
+ */
+function updateTableView(view, change) {
+  const viewState = getTableViewState(view);
+  change(viewState);
+  viewState.page = 1;
+  TABLE_VIEWS[view].render();
+}
+
+function setTablePage(view, page) {
+  getTableViewState(view).page = page;
+  TABLE_VIEWS[view].render();
+}
+
+function setTablePageSize(view, size) {
+  updateTableView(view, s => { s.pageSize = parseInt(size); });
+}
+
+/**
+ * Click a header to sort ascending, again for descending, a third time to clear
+ */
+function toggleTableSort(view, key) {
+  updateTableView(view, s => {
+    if (s.sort?.key !== key) {
+      s.sort = { key: key, dir: 'asc' };
+    } else if (s.sort.dir === 'asc') {
+      s.sort = { key: key, dir: 'desc' };
+    } else {
+      s.sort = null;
+    }
+  });
+}
+
+function initTableViews() {
+  Object.keys(TABLE_VIEWS).forEach(view => {
+    document.querySelectorAll(`#tbl-${view} th[data-sort]`).forEach(th => {
+      th.addEventListener('click', () => toggleTableSort(view, th.dataset.sort));
+    });
+  });
+}
+
+/* =========================
+   Rooms Management
+   ========================= */
+
+function renderRooms() {
+  const tbody = document.querySelector('#tbl-rooms tbody');
+  tbody.innerHTML = '';
+  
+  applyTableView('rooms').forEach(room => {
+    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>${room.room_id}</td>
+      <td>${room.room_number}</td>
+      <td>${roomType.name}</td>
+      <td><span class="status-${room.status.toLowerCase()}">${room.status}</span></td>
+      <td>${formatMoney(roomType.base_price)}</td>
+      <td>
+        <button class="btn btn-edit" data-action="showRoomForm" data-id="${room.room_id}">Sửa</button>
+        <button class="btn btn-delete" data-action="deleteRoom" data-id="${room.room_id}">Xóa</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+function showRoomForm(roomId = null) {
+  if (!requirePermission('rooms:write')) return;
+  
+  const room = roomId ? state.rooms.find(r => r.room_id === roomId) : null;
+  const isEdit = !!room;
+  
+  openModal({
+    title: isEdit ? 'Sửa thông tin phòng' : 'Thêm phòng mới',
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="form-group">
+          <label for="f_room_number">Số phòng *</label>
+          <input type="text" id="f_room_number" value="${isEdit ? room.room_number : ''}" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_room_type">Loại phòng *</label>
+          <select id="f_room_type" required>
+            ${state.roomTypes.map(type => html`
+              <option value="${type.type_id}" ${isEdit && room.type_id === type.type_id ? 'selected' : ''}>
+                ${type.name}
+              </option>
+            `)}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_room_status">Tình trạng *</label>
+          <select id="f_room_status" required>
+            <option value="Available" ${isEdit && room.status === 'Available' ? 'selected' : ''}>Có sẵn</option>
+            <option value="Occupied" ${isEdit && room.status === 'Occupied' ? 'selected' : ''}>Đã thuê</option>
+            <option value="Maintenance" ${isEdit && room.status === 'Maintenance' ? 'selected' : ''}>Bảo trì</option>
+            <option value="Cleaning" ${isEdit && room.status === 'Cleaning' ? 'selected' : ''}>Đang dọn</option>
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_room_features">Tiện nghi</label>
+          <input type="text" id="f_room_features" value="${isEdit ? room.features : ''}" placeholder="TV, WiFi, Điều hòa...">
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('rooms:write')) return false;
+      
+      const roomNumber = document.getElementById('f_room_number').value.trim();
+      const typeId = parseInt(document.getElementById('f_room_type').value);
+      const status = document.getElementById('f_room_status').value;
+      const features = document.getElementById('f_room_features').value.trim();
+      
+      if (!roomNumber) {
+        alert('Vui lòng nhập số phòng');
+        return false;
+      }
+      
+      const data = {
+        room_number: roomNumber,
+        type_id: typeId,
+        status: status,
+        features: features
+      };
+      
+      if (isEdit) {
+        updateRecord('rooms', room.room_id, data);
+      } else {
+        insertRecord('rooms', data);
+      }
+      
+      renderRooms();
+      return true;
+    }
+  });
+}
+
+function deleteRoom(roomId) {
+  if (!requirePermission('rooms:write')) return;
+  
+  if (confirm('Bạn có chắc chắn muốn xóa phòng này?')) {
+    // Check if room has active bookings
+    const hasBookings = state.bookings.some(b => 
+      b.room_id === roomId && b.status !== 'CANCELLED'
+    );
+    
+    if (hasBookings) {
+      alert('Không thể xóa phòng đang có đơn đặt hoạt động');
+      return;
+    }
+    
+    removeRecord('rooms', roomId);
+    renderRooms();
+    alert('Đã xóa phòng thành công');
+  }
+}
+
+/* =========================
+   Room Types Management
+   ========================= */
+
+function renderRoomTypes() {
+  const tbody = document.querySelector('#tbl-room-types tbody');
+  tbody.innerHTML = '';
+  
+  applyTableView('room-types').forEach(type => {
+    const roomCount = state.rooms.filter(r => r.type_id === type.type_id).length;
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>${type.type_id}</td>
+      <td>${type.name}</td>
+      <td>${type.description}</td>
+      <td>${type.capacity} người</td>
+      <td>${formatMoney(type.base_price)}</td>
+      <td>${findRecord('cancellationPolicies', type.policy_id)?.name || 'Hủy miễn phí'}</td>
+      <td>${roomCount}</td>
+      <td>
+        <button class="btn btn-edit" data-action="showRoomTypeForm" data-id="${type.type_id}">Sửa</button>
+        <button class="btn btn-delete" data-action="deleteRoomType" data-id="${type.type_id}">Xóa</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+function showRoomTypeForm(typeId = null) {
+  if (!requirePermission('roomTypes:write')) return;
+  
+  const roomType = typeId ? state.roomTypes.find(t => t.type_id === typeId) : null;
+  const isEdit = !!roomType;
+  
+  openModal({
+    title: isEdit ? 'Sửa loại phòng' : 'Thêm loại phòng mới',
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="form-group">
+          <label for="f_type_name">Tên loại phòng *</label>
+          <input type="text" id="f_type_name" value="${isEdit ? roomType.name : ''}" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_type_description">Mô tả</label>
+          <textarea id="f_type_description">${isEdit ? roomType.description : ''}</textarea>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_type_capacity">Sức chứa (người) *</label>
+          <input type="number" id="f_type_capacity" value="${isEdit ? roomType.capacity : 2}" min="1" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_type_price">Giá cơ bản/đêm *</label>
+          <input type="number" id="f_type_price" value="${isEdit ? roomType.base_price : ''}" min="0" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_type_policy">Chính sách hủy</label>
+          <select id="f_type_policy">
+            ${renderPolicyOptions(isEdit ? roomType.policy_id : null, 'Hủy miễn phí')}
+          </select>
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('roomTypes:write')) return false;
+      
+      const name = document.getElementById('f_type_name').value.trim();
+      const description = document.getElementById('f_type_description').value.trim();
+      const capacity = parseInt(document.getElementById('f_type_capacity').value);
+      const basePrice = parseFloat(document.getElementById('f_type_price').value);
+      const policyId = parseInt(document.getElementById('f_type_policy').value) || null;
+      
+      if (!name) {
+        alert('Vui lòng nhập tên loại phòng');
+        return false;
+      }
+      
+      if (!(capacity >= 1) || !(basePrice >= 0)) {
+        alert('Vui lòng kiểm tra lại sức chứa và giá phòng');
+        return false;
+      }
+      
+      // Check name uniqueness
+      const nameExists = state.roomTypes.some(t => 
+        t.name.toLowerCase() === name.toLowerCase() && t.type_id !== (roomType?.type_id)
+      );
+      
+      if (nameExists) {
+        alert('Tên loại phòng đã tồn tại');
+        return false;
+      }
+      
+      const data = {
+        name: name,
+        description: description,
+        capacity: capacity,
+        base_price: basePrice,
+        policy_id: policyId
+      };
+      
+      if (isEdit) {
+        updateRecord('roomTypes', roomType.type_id, data);
+      } else {
+        insertRecord('roomTypes', data);
+      }
+      
+      renderRoomTypes();
+      return true;
+    }
+  });
+}
+
+function deleteRoomType(typeId) {
+  if (!requirePermission('roomTypes:write')) return;
+  
+  if (confirm('Bạn có chắc chắn muốn xóa loại phòng này?')) {
+    // Check if any room still uses this type
+    const inUse = state.rooms.some(r => r.type_id === typeId);
+    
+    if (inUse) {
+      alert('Không thể xóa loại phòng đang được gán cho phòng');
+      return;
+    }
+    
+    removeRecord('roomTypes', typeId);
+    state.rateRules
+      .filter(r => r.type_id === typeId)
+      .forEach(r => removeRecord('rateRules', r.rule_id));
+    renderRoomTypes();
+    alert('Đã xóa loại phòng thành công');
+  }
+}
+
+/* =========================
+   Rate Rules Management
+   ========================= */
+
+function describeRateRule(rule) {
+  const parts = [];
+  if (rule.start_date || rule.end_date) {
+    parts.push(`${rule.start_date || '...'} → ${rule.end_date || '...'}`);
+  }
+  if (rule.weekdays.length > 0) {
+    parts.push(rule.weekdays.map(d => WEEKDAY_LABELS[d]).join(', '));
+  }
+  return parts.join(' | ') || 'Mọi ngày';
+}
+
+function renderRateRules() {
+  const tbody = document.querySelector('#tbl-rate-rules tbody');
+  tbody.innerHTML = '';
+  
+  applyTableView('rate-rules').forEach(rule => {
+    const roomType = state.roomTypes.find(t => t.type_id === rule.type_id);
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>${rule.rule_id}</td>
+      <td>${rule.name}</td>
+      <td>${roomType ? roomType.name : 'Tất cả'}</td>
+      <td>${describeRateRule(rule)}</td>
+      <td>${rule.adjustment_type === 'FIXED' ? formatMoney(rule.value) : `x${rule.value}`}</td>
+      <td>${rule.priority}</td>
+      <td>
+        <button class="btn btn-edit" data-action="showRateRuleForm" data-id="${rule.rule_id}">Sửa</button>
+        <button class="btn btn-delete" data-action="deleteRateRule" data-id="${rule.rule_id}">Xóa</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+function showRateRuleForm(ruleId = null) {
+  if (!requirePermission('rates:write')) return;
+  
+  const rule = ruleId ? state.rateRules.find(r => r.rule_id === ruleId) : null;
+  const isEdit = !!rule;
+  
+  openModal({
+    title: isEdit ? 'Sửa quy tắc giá' : 'Thêm quy tắc giá mới',
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="form-group">
+          <label for="f_rule_name">Tên quy tắc *</label>
+          <input type="text" id="f_rule_name" value="${isEdit ? rule.name : ''}" placeholder="Cuối tuần, Tết..." required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_rule_type">Loại phòng</label>
+          <select id="f_rule_type">
+            <option value="">Tất cả loại phòng</option>
+            ${state.roomTypes.map(type => html`
+              <option value="${type.type_id}" ${isEdit && rule.type_id === type.type_id ? 'selected' : ''}>
+                ${type.name}
+              </option>
+            `)}
+          </select>
+        </div>
+        
+        <div class="form-row">
+          <div class="form-col form-group">
+            <label for="f_rule_start">Từ ngày</label>
+            <input type="date" id="f_rule_start" value="${isEdit ? rule.start_date : ''}">
+          </div>
+          <div class="form-col form-group">
+            <label for="f_rule_end">Đến ngày</label>
+            <input type="date" id="f_rule_end" value="${isEdit ? rule.end_date : ''}">
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Ngày trong tuần (để trống = mọi ngày)</label>
+          <div class="check-options">
+            ${WEEKDAY_LABELS.map((label, day) => html`
+              <label class="check-option">
+                <input type="checkbox" value="${day}" ${isEdit && rule.weekdays.includes(day) ? 'checked' : ''}>
+                <span>${label}</span>
+              </label>
+            `)}
+          </div>
+        </div>
+        
+        <div class="form-row">
+          <div class="form-col form-group">
+            <label for="f_rule_adjustment">Cách tính *</label>
+            <select id="f_rule_adjustment" required>
+              <option value="MULTIPLIER" ${isEdit && rule.adjustment_type === 'MULTIPLIER' ? 'selected' : ''}>Hệ số nhân giá cơ bản</option>
+              <option value="FIXED" ${isEdit && rule.adjustment_type === 'FIXED' ? 'selected' : ''}>Giá cố định/đêm</option>
+            </select>
+          </div>
+          <div class="form-col form-group">
+            <label for="f_rule_value">Giá trị *</label>
+            <input type="number" id="f_rule_value" value="${isEdit ? rule.value : ''}" min="0" step="any" required>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_rule_priority">Độ ưu tiên (số lớn được áp dụng trước)</label>
+          <input type="number" id="f_rule_priority" value="${isEdit ? rule.priority : 1}">
+        </div>
+        
+        <div class="form-group">
+          <label for="f_rule_policy">Chính sách hủy riêng (khi ngày nhận phòng thuộc quy tắc)</label>
+          <select id="f_rule_policy">
+            ${renderPolicyOptions(isEdit ? rule.policy_id : null, 'Theo loại phòng')}
+          </select>
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('rates:write')) return false;
+      
+      const name = document.getElementById('f_rule_name').value.trim();
+      const typeId = parseInt(document.getElementById('f_rule_type').value) || null;
+      const startDate = document.getElementById('f_rule_start').value;
+      const endDate = document.getElementById('f_rule_end').value;
+      const weekdays = Array.from(document.querySelectorAll('.check-option input:checked'))
+        .map(input => parseInt(input.value));
+      const adjustmentType = document.getElementById('f_rule_adjustment').value;
+      const value = parseFloat(document.getElementById('f_rule_value').value);
+      const priority = parseInt(document.getElementById('f_rule_priority').value) || 0;
+      const policyId = parseInt(document.getElementById('f_rule_policy').value) || null;
+      
+      if (!name) {
+        alert('Vui lòng nhập tên quy tắc');
+        return false;
+      }
+      
+      if (!(value > 0)) {
+        alert('Giá trị phải lớn hơn 0');
+        return false;
+      }
+      
+      if (startDate && endDate && endDate < startDate) {
+        alert('Ngày kết thúc phải sau ngày bắt đầu');
+        return false;
+      }
+      
+      const data = {
+        name: name,
+        type_id: typeId,
+        start_date: startDate,
+        end_date: endDate,
+        weekdays: weekdays,
+        adjustment_type: adjustmentType,
+        value: value,
+        priority: priority,
+        policy_id: policyId
+      };
+      
+      if (isEdit) {
+        updateRecord('rateRules', rule.rule_id, data);
+      } else {
+        insertRecord('rateRules', data);
+      }
+      
+      renderRateRules();
+      return true;
+    }
+  });
+}
+
+function deleteRateRule(ruleId) {
+  if (!requirePermission('rates:write')) return;
+  
+  if (confirm('Bạn có chắc chắn muốn xóa quy tắc giá này?')) {
+    removeRecord('rateRules', ruleId);
+    renderRateRules();
+    alert('Đã xóa quy tắc giá thành công');
+  }
+}
+
+/* =========================
+   Cancellation Policies
+   ========================= */
+
+const PENALTY_TYPES = {
+  NONE: 'Luôn miễn phí',
+  PERCENT: 'Phần trăm tổng tiền',
+  FIRST_NIGHT: 'Tiền đêm đầu tiên',
+  NON_REFUNDABLE: 'Không hoàn tiền'
+};
+
+/**
+ * Policy for a stay: a rate rule covering the check-in night overrides
+ * the room type's policy. Returns a copy to keep on the booking, or null
+ * for free cancellation.
+ */
+function resolveCancellationPolicy(typeId, checkIn) {
+  const weekday = new Date(checkIn).getUTCDay();
+  const rule = state.rateRules
+    .filter(r => r.policy_id && (!r.type_id || r.type_id === typeId))
+    .filter(r => (!r.start_date || checkIn >= r.start_date) && (!r.end_date || checkIn <= r.end_date))
+    .filter(r => r.weekdays.length === 0 || r.weekdays.includes(weekday))
+    .sort((a, b) => (b.priority - a.priority) || (b.rule_id - a.rule_id))[0];
+  const roomType = state.roomTypes.find(t => t.type_id === typeId);
+  
+  const policy = findRecord('cancellationPolicies', rule ? rule.policy_id : roomType?.policy_id);
+  return policy ? { ...policy } : null;
+}
+
+/**
+ * Policy agreed at booking time; older bookings use today's policy
+ */
+function getCancellationPolicy(booking) {
+  if (booking.cancellation_policy !== undefined) return booking.cancellation_policy;
+  const room = state.rooms.find(r => r.room_id === booking.room_id);
+  return resolveCancellationPolicy(room?.type_id, booking.check_in_date);
+}
+
+function describeCancellationPolicy(policy) {
+  if (!policy || policy.penalty_type === 'NONE') return 'Hủy miễn phí';
+  if (policy.penalty_type === 'NON_REFUNDABLE') return `${policy.name}: không hoàn tiền khi hủy`;
+  
+  const penalty = policy.penalty_type === 'PERCENT' ? `${policy.penalty_value}% tổng tiền` : 'tiền đêm đầu tiên';
+  return `${policy.name}: miễn phí nếu hủy trước ${policy.free_days} ngày nhận phòng, sau đó tính ${penalty}`;
+}
+
+/**
+ * Fee for cancelling today, never more than the booking total
+ */
+function calculateCancellationFee(booking, policy) {
+  if (!policy || policy.penalty_type === 'NONE') return 0;
+  if (policy.penalty_type === 'NON_REFUNDABLE') return booking.total_amount;
+  
+  const daysBefore = Math.round((new Date(booking.check_in_date) - new Date(todayISO())) / (1000 * 60 * 60 * 24));
+  if (daysBefore >= policy.free_days) return 0;
+  return calculateCancellationPenalty(booking, policy);
+}
+
+/**
+ * Fee once the free cancellation window has passed
+ */
+function calculateCancellationPenalty(booking, policy) {
+  if (!policy || policy.penalty_type === 'NONE') return 0;
+  if (policy.penalty_type === 'NON_REFUNDABLE') return booking.total_amount;
+  
+  const fee = policy.penalty_type === 'PERCENT' ?
+    Math.round(booking.total_amount * policy.penalty_value / 100) :
+    (booking.nightly_rates ? booking.nightly_rates[0].price : Math.round(getRoomAmount(booking) / calculateNights(booking.check_in_date, booking.check_out_date)));
+  return Math.min(fee, booking.total_amount);
+}
+
+/**
+ * The policy charging more for this booking: the higher penalty, then the longer notice
+ */
+function stricterCancellationPolicy(booking, a, b) {
+  const penaltyA = calculateCancellationPenalty(booking, a);
+  const penaltyB = calculateCancellationPenalty(booking, b);
+  if (penaltyA !== penaltyB) return penaltyA > penaltyB ? a : b;
+  return (b && b.free_days > (a ? a.free_days : 0)) ? b : a;
+}
+
+function renderPolicyOptions(selectedId, emptyLabel) {
+  return html`
+    <option value="">${emptyLabel}</option>
+    ${state.cancellationPolicies.map(policy => html`
+      <option value="${policy.policy_id}" ${policy.policy_id === selectedId ? 'selected' : ''}>${policy.name}</option>
+    `)}
+  `;
+}
+
+function renderCancellationPolicies() {
+  const tbody = document.querySelector('#tbl-cancellation-policies tbody');
+  tbody.innerHTML = '';
+  
+  state.cancellationPolicies.forEach(policy => {
+    const usedBy = state.roomTypes.filter(t => t.policy_id === policy.policy_id).map(t => t.name)
+      .concat(state.rateRules.filter(r => r.policy_id === policy.policy_id).map(r => r.name));
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>${policy.policy_id}</td>
+      <td>${policy.name}</td>
+      <td>${describeCancellationPolicy(policy)}</td>
+      <td>${usedBy.join(', ') || '-'}</td>
+      <td>
+        <button class="btn btn-edit" data-action="showCancellationPolicyForm" data-id="${policy.policy_id}">Sửa</button>
+        <button class="btn btn-delete" data-action="deleteCancellationPolicy" data-id="${policy.policy_id}">Xóa</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+function showCancellationPolicyForm(policyId = null) {
+  if (!requirePermission('rates:write')) return;
+  
+  const policy = policyId ? findRecord('cancellationPolicies', policyId) : null;
+  const isEdit = !!policy;
+  
+  openModal({
+    title: isEdit ? 'Sửa chính sách hủy' : 'Thêm chính sách hủy mới',
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="form-group">
+          <label for="f_policy_name">Tên chính sách *</label>
+          <input type="text" id="f_policy_name" value="${isEdit ? policy.name : ''}" placeholder="Linh hoạt, Không hoàn tiền..." required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_policy_penalty">Phí khi hủy muộn *</label>
+          <select id="f_policy_penalty" required>
+            ${Object.entries(PENALTY_TYPES).map(([value, label]) => html`
+              <option value="${value}" ${isEdit && policy.penalty_type === value ? 'selected' : ''}>${label}</option>
+            `)}
+          </select>
+        </div>
+        
+        <div class="form-row">
+          <div class="form-col form-group">
+            <label for="f_policy_free_days">Miễn phí nếu hủy trước (ngày)</label>
+            <input type="number" id="f_policy_free_days" value="${isEdit ? policy.free_days : 1}" min="0">
+          </div>
+          <div class="form-col form-group">
+            <label for="f_policy_value">Phần trăm phí (%)</label>
+            <input type="number" id="f_policy_value" value="${isEdit ? policy.penalty_value : 0}" min="0" max="100" step="any">
+          </div>
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('rates:write')) return false;
+      
+      const name = document.getElementById('f_policy_name').value.trim();
+      const penaltyType = document.getElementById('f_policy_penalty').value;
+      const freeDays = parseInt(document.getElementById('f_policy_free_days').value) || 0;
+      const value = parseFloat(document.getElementById('f_policy_value').value) || 0;
+      
+      if (!name) {
+        alert('Vui lòng nhập tên chính sách');
+        return false;
+      }
+      
+      if (freeDays < 0 || (penaltyType === 'PERCENT' && !(value > 0 && value <= 100))) {
+        alert('Phần trăm phí phải trong khoảng 0 - 100 và số ngày không được âm');
+        return false;
+      }
+      
+      const nameExists = state.cancellationPolicies.some(p =>
+        p.name.toLowerCase() === name.toLowerCase() && p.policy_id !== (policy?.policy_id)
+      );
+      
+      if (nameExists) {
+        alert('Tên chính sách đã tồn tại');
+        return false;
+      }
+      
+      const data = {
+        name: name,
+        free_days: freeDays,
+        penalty_type: penaltyType,
+        penalty_value: penaltyType === 'PERCENT' ? value : 0
+      };
+      
+      if (isEdit) {
+        updateRecord('cancellationPolicies', policy.policy_id, data);
+      } else {
+        insertRecord('cancellationPolicies', data);
+      }
+      
+      renderCancellationPolicies();
+      return true;
+    }
+  });
+}
+
+function deleteCancellationPolicy(policyId) {
+  if (!requirePermission('rates:write')) return;
+  
+  if (confirm('Bạn có chắc chắn muốn xóa chính sách hủy này?')) {
+    const inUse = state.roomTypes.some(t => t.policy_id === policyId) ||
+      state.rateRules.some(r => r.policy_id === policyId);
+    
+    if (inUse) {
+      alert('Không thể xóa chính sách đang được gán cho loại phòng hoặc quy tắc giá');
+      return;
+    }
+    
+    removeRecord('cancellationPolicies', policyId);
+    renderCancellationPolicies();
+    alert('Đã xóa chính sách hủy thành công');
+  }
+}
+
+/* =========================
+   Promotions
+   ========================= */
+
+const DISCOUNT_TYPES = {
+  PERCENT: 'Phần trăm tiền phòng',
+  FIXED: 'Số tiền cố định'
+};
+
+/**
+ * Bookings using a promotion, optionally for one user; cancelled ones give the use back
+ */
+function getPromotionUses(promoId, userId = null, excludeBookingId = null) {
+  return state.bookings.filter(b =>
+    b.promotion && b.promotion.promo_id === promoId &&
+    b.status !== 'CANCELLED' &&
+    b.booking_id !== excludeBookingId &&
+    (userId === null || b.user_id === userId)
+  ).length;
+}
+
+/**
+ * Check a code against a stay { typeId, checkIn, checkOut, userId, bookingId }
+ * With bookingId the stay replaces that booking's: the code only has to fit
+ * the new stay, as it was already valid when the booking was made.
+ * Returns { promotion } or { error }
+ */
+function validatePromotion(code, stay) {
+  const promotion = state.promotions.find(p => p.code.toUpperCase() === code.trim().toUpperCase());
+  const today = todayISO();
+  const bookingId = stay.bookingId || null;
+  
+  if (!promotion || (!promotion.active && !bookingId)) {
+    return { error: 'Mã khuyến mãi không tồn tại hoặc đã ngừng áp dụng' };
+  }
+  if (!bookingId && ((promotion.start_date && today < promotion.start_date) || (promotion.end_date && today > promotion.end_date))) {
+    return { error: 'Mã khuyến mãi chưa đến hoặc đã hết thời gian áp dụng' };
+  }
+  if (calculateNights(stay.checkIn, stay.checkOut) < promotion.min_nights) {
+    return { error: `Mã khuyến mãi chỉ áp dụng cho đơn từ ${promotion.min_nights} đêm` };
+  }
+  if (promotion.type_ids.length > 0 && !promotion.type_ids.includes(stay.typeId)) {
+    return { error: 'Mã khuyến mãi không áp dụng cho loại phòng này' };
+  }
+  if (promotion.max_uses && getPromotionUses(promotion.promo_id, null, bookingId) >= promotion.max_uses) {
+    return { error: 'Mã khuyến mãi đã hết lượt sử dụng' };
+  }
+  if (promotion.max_uses_per_user && getPromotionUses(promotion.promo_id, stay.userId, bookingId) >= promotion.max_uses_per_user) {
+    return { error: 'Bạn đã dùng hết lượt cho mã khuyến mãi này' };
+  }
+  return { promotion: promotion };
+}
+
+/**
+ * Discount on the room amount, never more than the room amount itself
+ */
+function calculateDiscount(promotion, roomAmount) {
+  if (!promotion) return 0;
+  const discount = promotion.discount_type === 'PERCENT' ?
+    Math.round(roomAmount * promotion.value / 100) :
+    promotion.value;
+  return Math.min(discount, roomAmount);
+}
+
+function describePromotion(promotion) {
+  const amount = promotion.discount_type === 'PERCENT' ? `${promotion.value}% tiền phòng` : formatMoney(promotion.value);
+  return `Giảm ${amount}${promotion.description ? ` - ${promotion.description}` : ''}`;
+}
+
+function describePromotionConditions(promotion) {
+  const parts = [];
+  if (promotion.start_date || promotion.end_date) {
+    parts.push(`${promotion.start_date || '...'} → ${promotion.end_date || '...'}`);
+  }
+  if (promotion.min_nights > 1) parts.push(`Từ ${promotion.min_nights} đêm`);
+  if (promotion.type_ids.length > 0) {
+    parts.push(promotion.type_ids.map(id => state.roomTypes.find(t => t.type_id === id)?.name).filter(Boolean).join(', '));
+  }
+  if (promotion.max_uses_per_user) parts.push(`${promotion.max_uses_per_user} lần/khách`);
+  return parts.join(' | ') || 'Không giới hạn';
+}
+
+function renderPromotions() {
+  const tbody = document.querySelector('#tbl-promotions tbody');
+  tbody.innerHTML = '';
+  
+  state.promotions.forEach(promotion => {
+    const uses = getPromotionUses(promotion.promo_id);
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>${promotion.promo_id}</td>
+      <td><strong>${promotion.code}</strong></td>
+      <td>${promotion.discount_type === 'PERCENT' ? `${promotion.value}%` : formatMoney(promotion.value)}</td>
+      <td>${describePromotionConditions(promotion)}</td>
+      <td>${uses}${promotion.max_uses ? `/${promotion.max_uses}` : ''}</td>
+      <td><span class="status-${promotion.active ? 'available' : 'cancelled'}">${promotion.active ? 'Đang áp dụng' : 'Tắt'}</span></td>
+      <td>
+        <button class="btn btn-edit" data-action="showPromotionForm" data-id="${promotion.promo_id}">Sửa</button>
+        <button class="btn btn-delete" data-action="deletePromotion" data-id="${promotion.promo_id}">Xóa</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+function showPromotionForm(promoId = null) {
+  if (!requirePermission('rates:write')) return;
+  
+  const promotion = promoId ? findRecord('promotions', promoId) : null;
+  const isEdit = !!promotion;
+  
+  openModal({
+    title: isEdit ? 'Sửa mã khuyến mãi' : 'Thêm mã khuyến mãi mới',
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="form-row">
+          <div class="form-col form-group">
+            <label for="f_promo_code_value">Mã *</label>
+            <input type="text" id="f_promo_code_value" value="${isEdit ? promotion.code : ''}" placeholder="SUMMER20" required>
+          </div>
+          <div class="form-col form-group">
+            <label class="check-option">
+              <input type="checkbox" id="f_promo_active" ${!isEdit || promotion.active ? 'checked' : ''}>
+              <span>Đang áp dụng</span>
+            </label>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_promo_description">Mô tả</label>
+          <input type="text" id="f_promo_description" value="${isEdit ? promotion.description : ''}">
+        </div>
+        
+        <div class="form-row">
+          <div class="form-col form-group">
+            <label for="f_promo_type">Cách giảm *</label>
+            <select id="f_promo_type" required>
+              ${Object.entries(DISCOUNT_TYPES).map(([value, label]) => html`
+                <option value="${value}" ${isEdit && promotion.discount_type === value ? 'selected' : ''}>${label}</option>
+              `)}
+            </select>
+          </div>
+          <div class="form-col form-group">
+            <label for="f_promo_value">Giá trị *</label>
+            <input type="number" id="f_promo_value" value="${isEdit ? promotion.value : ''}" min="0" step="any" required>
+          </div>
+        </div>
+        
+        <div class="form-row">
+          <div class="form-col form-group">
+            <label for="f_promo_start">Từ ngày</label>
+            <input type="date" id="f_promo_start" value="${isEdit ? promotion.start_date : ''}">
+          </div>
+          <div class="form-col form-group">
+            <label for="f_promo_end">Đến ngày</label>
+            <input type="date" id="f_promo_end" value="${isEdit ? promotion.end_date : ''}">
+          </div>
+        </div>
+        
+        <div class="form-row">
+          <div class="form-col form-group">
+            <label for="f_promo_min_nights">Số đêm tối thiểu</label>
+            <input type="number" id="f_promo_min_nights" value="${isEdit ? promotion.min_nights : 1}" min="1">
+          </div>
+          <div class="form-col form-group">
+            <label for="f_promo_max_uses">Tổng lượt dùng (0 = không giới hạn)</label>
+            <input type="number" id="f_promo_max_uses" value="${isEdit ? promotion.max_uses : 0}" min="0">
+          </div>
+          <div class="form-col form-group">
+            <label for="f_promo_max_per_user">Lượt/khách (0 = không giới hạn)</label>
+            <input type="number" id="f_promo_max_per_user" value="${isEdit ? promotion.max_uses_per_user : 1}" min="0">
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Loại phòng áp dụng (để trống = tất cả)</label>
+          <div class="check-options">
+            ${state.roomTypes.map(type => html`
+              <label class="check-option">
+                <input type="checkbox" class="f_promo_room_type" value="${type.type_id}" ${isEdit && promotion.type_ids.includes(type.type_id) ? 'checked' : ''}>
+                <span>${type.name}</span>
+              </label>
+            `)}
+          </div>
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('rates:write')) return false;
+      
+      const code = document.getElementById('f_promo_code_value').value.trim().toUpperCase();
+      const discountType = document.getElementById('f_promo_type').value;
+      const value = parseFloat(document.getElementById('f_promo_value').value);
+      const startDate = document.getElementById('f_promo_start').value;
+      const endDate = document.getElementById('f_promo_end').value;
+      const typeIds = Array.from(document.querySelectorAll('.f_promo_room_type:checked'))
+        .map(input => parseInt(input.value));
+      
+      if (!/^[A-Z0-9_-]+$/.test(code)) {
+        alert('Mã chỉ gồm chữ, số, "-" và "_"');
+        return false;
+      }
+      
+      if (!(value > 0) || (discountType === 'PERCENT' && value > 100)) {
+        alert('Giá trị giảm phải lớn hơn 0 (tối đa 100%)');
+        return false;
+      }
+      
+      if (startDate && endDate && endDate < startDate) {
+        alert('Ngày kết thúc phải sau ngày bắt đầu');
+        return false;
+      }
+      
+      const codeExists = state.promotions.some(p =>
+        p.code.toUpperCase() === code && p.promo_id !== (promotion?.promo_id)
+      );
+      
+      if (codeExists) {
+        alert('Mã khuyến mãi đã tồn tại');
+        return false;
+      }
+      
+      const data = {
+        code: code,
+        description: document.getElementById('f_promo_description').value.trim(),
+        discount_type: discountType,
+        value: value,
+        min_nights: Math.max(1, parseInt(document.getElementById('f_promo_min_nights').value) || 1),
+        start_date: startDate,
+        end_date: endDate,
+        max_uses: Math.max(0, parseInt(document.getElementById('f_promo_max_uses').value) || 0),
+        max_uses_per_user: Math.max(0, parseInt(document.getElementById('f_promo_max_per_user').value) || 0),
+        type_ids: typeIds,
+        active: document.getElementById('f_promo_active').checked
+      };
+      
+      if (isEdit) {
+        updateRecord('promotions', promotion.promo_id, data);
+      } else {
+        insertRecord('promotions', data);
+      }
+      
+      renderPromotions();
+      return true;
+    }
+  });
+}
+
+function deletePromotion(promoId) {
+  if (!requirePermission('rates:write')) return;
+  
+  // Bookings keep their own copy of the promotion, so a used code can still go
+  if (confirm('Bạn có chắc chắn muốn xóa mã khuyến mãi này?')) {
+    removeRecord('promotions', promoId);
+    renderPromotions();
+    alert('Đã xóa mã khuyến mãi thành công');
+  }
+}
+
+/* =========================
+   Tax Settings
+   ========================= */
+
+function renderTaxSettings() {
+  document.getElementById('f_prices_include_tax').checked = state.settings.prices_include_tax;
+  
+  const tbody = document.querySelector('#tbl-taxes tbody');
+  tbody.innerHTML = '';
+  
+  state.settings.taxes.forEach(tax => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>${tax.tax_id}</td>
+      <td>${tax.name}</td>
+      <td>${tax.rate}%</td>
+      <td>${tax.applies_to.map(c => TAX_CATEGORIES[c]).join(', ')}</td>
+      <td>${tax.compound ? 'Có' : 'Không'}</td>
+      <td><span class="status-${tax.active ? 'available' : 'cancelled'}">${tax.active ? 'Đang áp dụng' : 'Tắt'}</span></td>
+      <td>
+        <button class="btn btn-edit" data-action="showTaxForm" data-id="${tax.tax_id}">Sửa</button>
+        <button class="btn btn-delete" data-action="deleteTax" data-id="${tax.tax_id}">Xóa</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+function setPricesIncludeTax(included) {
+  if (!requirePermission('rates:write')) {
+    renderTaxSettings();
+    return;
+  }
+  
+  updateSettings({ prices_include_tax: included });
+}
+
+function showTaxForm(taxId = null) {
+  if (!requirePermission('rates:write')) return;
+  
+  const tax = taxId ? state.settings.taxes.find(t => t.tax_id === taxId) : null;
+  const isEdit = !!tax;
+  
+  openModal({
+    title: isEdit ? 'Sửa thuế/phí' : 'Thêm thuế/phí mới',
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="form-group">
+          <label for="f_tax_name">Tên *</label>
+          <input type="text" id="f_tax_name" value="${isEdit ? tax.name : ''}" placeholder="Thuế GTGT, Phí phục vụ..." required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_tax_rate">Thuế suất (%) *</label>
+          <input type="number" id="f_tax_rate" value="${isEdit ? tax.rate : ''}" min="0" max="100" step="any" required>
+        </div>
+        
+        <div class="form-group">
+          <label>Áp dụng cho</label>
+          <div class="check-options">
+            ${Object.entries(TAX_CATEGORIES).map(([category, label]) => html`
+              <label class="check-option">
+                <input type="checkbox" class="f_tax_category" value="${category}" ${!isEdit || tax.applies_to.includes(category) ? 'checked' : ''}>
+                <span>${label}</span>
+              </label>
+            `)}
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label class="check-option">
+            <input type="checkbox" id="f_tax_compound" ${isEdit && tax.compound ? 'checked' : ''}>
+            <span>Tính trên cả các khoản thuế/phí phía trước</span>
+          </label>
+        </div>
+        
+        <div class="form-group">
+          <label class="check-option">
+            <input type="checkbox" id="f_tax_active" ${!isEdit || tax.active ? 'checked' : ''}>
+            <span>Đang áp dụng</span>
+          </label>
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('rates:write')) return false;
+      
+      const name = document.getElementById('f_tax_name').value.trim();
+      const rate = parseFloat(document.getElementById('f_tax_rate').value);
+      const appliesTo = Array.from(document.querySelectorAll('.f_tax_category:checked')).map(input => input.value);
+      const compound = document.getElementById('f_tax_compound').checked;
+      const active = document.getElementById('f_tax_active').checked;
+      
+      if (!name) {
+        alert('Vui lòng nhập tên thuế/phí');
+        return false;
+      }
+      
+      if (!(rate >= 0 && rate <= 100)) {
+        alert('Thuế suất phải trong khoảng 0 - 100%');
+        return false;
+      }
+      
+      if (appliesTo.length === 0) {
+        alert('Vui lòng chọn ít nhất một khoản áp dụng');
+        return false;
+      }
+      
+      const data = { name: name, rate: rate, applies_to: appliesTo, compound: compound, active: active };
+      
+      const taxes = isEdit ?
+        state.settings.taxes.map(t => t.tax_id === taxId ? { ...t, ...data } : t) :
+        [...state.settings.taxes, { tax_id: generateId(state.settings.taxes, 'tax_id'), ...data }];
+      
+      updateSettings({ taxes: taxes });
+      renderTaxSettings();
+      return true;
+    }
+  });
+}
+
+function deleteTax(taxId) {
+  if (!requirePermission('rates:write')) return;
+  
+  if (confirm('Bạn có chắc chắn muốn xóa thuế/phí này?')) {
+    updateSettings({ taxes: state.settings.taxes.filter(t => t.tax_id !== taxId) });
+    renderTaxSettings();
+    alert('Đã xóa thuế/phí thành công');
+  }
+}
+
+/* =========================
+   Services Management
+   ========================= */
+
+function renderServices() {
+  const tbody = document.querySelector('#tbl-services tbody');
+  tbody.innerHTML = '';
+  
+  applyTableView('services').forEach(service => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>${service.service_id}</td>
+      <td>${service.name}</td>
+      <td>${formatMoney(service.price)}</td>
+      <td>
+        <button class="btn btn-edit" data-action="showServiceForm" data-id="${service.service_id}">Sửa</button>
+        <button class="btn btn-delete" data-action="deleteService" data-id="${service.service_id}">Xóa</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+function showServiceForm(serviceId = null) {
+  if (!requirePermission('services:write')) return;
+  
+  const service = serviceId ? state.services.find(s => s.service_id === serviceId) : null;
+  const isEdit = !!service;
+  
+  openModal({
+    title: isEdit ? 'Sửa dịch vụ' : 'Thêm dịch vụ mới',
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="form-group">
+          <label for="f_service_name">Tên dịch vụ *</label>
+          <input type="text" id="f_service_name" value="${isEdit ? service.name : ''}" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_service_description">Mô tả</label>
+          <textarea id="f_service_description">${isEdit ? service.description : ''}</textarea>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_service_price">Giá *</label>
+          <input type="number" id="f_service_price" value="${isEdit ? service.price : ''}" min="0" required>
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('services:write')) return false;
+      
+      const name = document.getElementById('f_service_name').value.trim();
+      const description = document.getElementById('f_service_description').value.trim();
+      const price = parseFloat(document.getElementById('f_service_price').value);
+      
+      if (!name) {
+        alert('Vui lòng nhập tên dịch vụ');
+        return false;
+      }
+      
+      const data = {
+        name: name,
+        description: description,
+        price: price
+      };
+      
+      if (isEdit) {
+        updateRecord('services', service.service_id, data);
+      } else {
+        insertRecord('services', data);
+      }
+      
+      renderServices();
+      return true;
+    }
+  });
+}
+
+function deleteService(serviceId) {
+  if (!requirePermission('services:write')) return;
+  
+  if (confirm('Bạn có chắc chắn muốn xóa dịch vụ này?')) {
+    // Check if service is used in any bookings
+    const isUsed = state.bookingServices.some(bs => bs.service_id === serviceId);
+    
+    if (isUsed) {
+      alert('Không thể xóa dịch vụ đang được sử dụng trong các đơn đặt');
+      return;
+    }
+    
+    removeRecord('services', serviceId);
+    renderServices();
+    alert('Đã xóa dịch vụ thành công');
+  }
+}
+
+/* =========================
+   Bookings Management
+   ========================= */
+
+function renderBookings() {
+  const tbody = document.querySelector('#tbl-bookings tbody');
+  tbody.innerHTML = '';
+  
+  applyTableView('bookings').forEach(booking => {
+    const user = state.users.find(u => u.user_id === booking.user_id);
+    const room = state.rooms.find(r => r.room_id === booking.room_id);
+    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+    
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>#${booking.booking_id}</td>
+      <td>${user.full_name}</td>
+      <td>${room.room_number} - ${roomType.name}</td>
+      <td>${booking.check_in_date}</td>
+      <td>${booking.check_out_date}</td>
+      <td>${formatMoney(booking.total_amount)}</td>
+      <td>${formatMoney(getBookingBalance(booking))}</td>
+      <td><span class="status-${booking.status.toLowerCase()}">${booking.status}</span></td>
+      <td>
+        <button class="btn btn-edit" data-action="showBookingManagementForm" data-id="${booking.booking_id}">Sửa</button>
+        <button class="btn" data-action="viewBookingServices" data-id="${booking.booking_id}">DV</button>
+        ${!booking.reservation_id || findInvoice('booking_id', booking.booking_id) ? html`
+          <button class="btn" data-action="showInvoice" data-id="${booking.booking_id}">Hóa đơn</button>
+        ` : ''}
+        ${booking.reservation_id ? html`
+          <button class="btn" data-action="showReservation" data-id="${booking.reservation_id}">Nhóm #${booking.reservation_id}</button>
+        ` : ''}
+        ${canTransition(booking, 'CANCELLED') ? html`
+          <button class="btn btn-delete" data-action="cancelBooking" data-id="${booking.booking_id}">Hủy</button>
+        ` : ''}
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+function showBookingManagementForm(bookingId) {
+  if (!requirePermission('bookings:write')) return;
+  
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  const room = state.rooms.find(r => r.room_id === booking.room_id);
+  
+  openModal({
+    title: `Quản lý đơn đặt #${bookingId}`,
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="form-group">
+          <label for="f_booking_status">Trạng thái *</label>
+          <select id="f_booking_status" required>
+            ${[booking.status, ...BOOKING_TRANSITIONS[booking.status]].map(status => html`
+              <option value="${status}" ${booking.status === status ? 'selected' : ''}>${BOOKING_STATUS_LABELS[status]}</option>
+            `)}
+          </select>
+        </div>
+        
+        <div class="booking-info">
+          <p><strong>Phòng:</strong> ${room.room_number}</p>
+          <p><strong>Ngày nhận:</strong> ${booking.check_in_date}</p>
+          <p><strong>Ngày trả:</strong> ${booking.check_out_date}</p>
+          <p><strong>Tổng tiền:</strong> ${formatMoney(booking.total_amount)}</p>
+        </div>
+        
+        ${renderStatusHistory(booking)}
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('bookings:write')) return false;
+      
+      const status = document.getElementById('f_booking_status').value;
+      
+      // Cancelling goes through the policy so fees and refunds are recorded
+      if (status === 'CANCELLED' && booking.status !== 'CANCELLED') return cancelBooking(bookingId);
+      
+      if (!transitionBooking(booking, status)) return false;
+      renderBookings();
+      return true;
+    }
+  });
+}
+
+function viewBookingServices(bookingId) {
+  if (!requirePermission('bookings:read')) return;
+  
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  const currentServices = state.bookingServices.filter(bs => bs.booking_id === bookingId);
+  
+  openModal({
+    title: `Dịch vụ đơn #${bookingId}`,
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div id="current-services">
+          <h4>Dịch vụ hiện tại:</h4>
+          ${currentServices.length > 0 ? 
+            currentServices.map(bs => {
+              const service = state.services.find(s => s.service_id === bs.service_id);
+              return html`
+                <div class="service-item">
+                  <span>${service.name} x ${bs.quantity} = ${formatMoney(bs.price)}</span>
+                  <button class="btn btn-delete" data-action="removeBookingService" data-id="${bs.booking_service_id}">Xóa</button>
+                </div>
+              `;
+            }) :
+            html`<p>Chưa có dịch vụ nào</p>`
+          }
+        </div>
+        
+        <hr>
+        
+        <div class="form-group">
+          <label for="f_add_service">Thêm dịch vụ</label>
+          <select id="f_add_service">
+            <option value="">Chọn dịch vụ</option>
+            ${state.services.map(service => html`
+              <option value="${service.service_id}">${service.name} - ${formatMoney(service.price)}</option>
+            `)}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_service_quantity">Số lượng</label>
+          <input type="number" id="f_service_quantity" value="1" min="1">
+        </div>
+        
+        <button type="button" class="btn primary" data-action="addBookingService" data-id="${bookingId}">Thêm dịch vụ</button>
+      `;
+      return div;
+    },
+    onSubmit: () => true
+  });
+}
+
+/**
+ * Room charge of a booking before taxes are split out
+ */
+function getRoomAmount(booking) {
+  if (booking.room_amount !== undefined) return booking.room_amount;
+  if (booking.nightly_rates) return booking.nightly_rates.reduce((sum, n) => sum + n.price, 0);
+  
+  // Older bookings only kept the total
+  const servicesTotal = state.bookingServices
+    .filter(bs => bs.booking_id === booking.booking_id)
+    .reduce((sum, bs) => sum + bs.price, 0);
+  return booking.total_amount - servicesTotal;
+}
+
+/**
+ * Recompute subtotal, taxes and total after the booking's services change
+ */
+function applyBookingTotals(booking, roomAmount) {
+  const servicesTotal = state.bookingServices
+    .filter(bs => bs.booking_id === booking.booking_id)
+    .reduce((sum, bs) => sum + bs.price, 0);
+  const totals = calculateBookingTotals(booking, roomAmount, servicesTotal);
+  
+  updateRecord('bookings', booking.booking_id, {
+    room_amount: roomAmount,
+    subtotal: totals.subtotal,
+    ...(booking.tax_lines ? { tax_lines: totals.taxLines, prices_include_tax: totals.prices_include_tax } : {}),
+    discount_amount: totals.discount,
+    total_amount: totals.total
+  });
+}
+
+/**
+ * Totals for new amounts on an existing booking; the promotion it was
+ * booked with is recalculated on the new room amount.
+ * Bookings made before taxes were configured stay untaxed
+ */
+function calculateBookingTotals(booking, roomAmount, servicesTotal, promotion = booking.promotion) {
+  const discount = calculateDiscount(promotion, roomAmount);
+  if (!booking.tax_lines) {
+    return {
+      subtotal: roomAmount - discount + servicesTotal,
+      taxLines: [],
+      total: roomAmount - discount + servicesTotal,
+      prices_include_tax: false,
+      discount: discount
+    };
+  }
+  return calculateTotals(roomAmount, servicesTotal, discount);
+}
+
+function addBookingService(bookingId) {
+  if (!requirePermission('bookings:write')) return;
+  
+  const serviceId = parseInt(document.getElementById('f_add_service').value);
+  const quantity = parseInt(document.getElementById('f_service_quantity').value);
+  
+  if (!serviceId) {
+    alert('Vui lòng chọn dịch vụ');
+    return;
+  }
+  
+  const service = state.services.find(s => s.service_id === serviceId);
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  const roomAmount = getRoomAmount(booking);
+  
+  insertRecord('bookingServices', {
+    booking_id: bookingId,
+    service_id: serviceId,
+    quantity: quantity,
+    price: service.price * quantity
+  });
+  applyBookingTotals(booking, roomAmount);
+  
+  alert('Đã thêm dịch vụ thành công');
+  viewBookingServices(bookingId);
+}
+
+function removeBookingService(bookingServiceId) {
+  if (!requirePermission('bookings:write')) return;
+  
+  if (confirm('Bạn có chắc chắn muốn xóa dịch vụ này?')) {
+    const bookingService = state.bookingServices.find(bs => bs.booking_service_id === bookingServiceId);
+    const booking = state.bookings.find(b => b.booking_id === bookingService.booking_id);
+    const roomAmount = getRoomAmount(booking);
+    
+    removeRecord('bookingServices', bookingServiceId);
+    applyBookingTotals(booking, roomAmount);
+    
+    alert('Đã xóa dịch vụ thành công');
+    viewBookingServices(bookingService.booking_id);
+  }
+}
+
+/* =========================
+   Front Desk
+   ========================= */
+
+function renderFrontDesk() {
+  const today = new Date().toISOString().split('T')[0];
+  document.getElementById('frontdesk-date').textContent = today;
+  
+  const arrivals = state.bookings.filter(b => 
+    b.check_in_date === today && (b.status === 'PENDING' || b.status === 'CONFIRMED')
+  );
+  const departures = state.bookings.filter(b => 
+    b.check_out_date <= today && b.status === 'CHECKED_IN'
+  );
+  const cleaningRooms = state.rooms.filter(r => r.status === 'Cleaning');
+  
+  const arrivalsBody = document.querySelector('#tbl-arrivals tbody');
+  arrivalsBody.innerHTML = arrivals.length === 0 ? 
+    html`<tr><td colspan="5" class="empty-row">Không có khách đến hôm nay</td></tr>` : '';
+  arrivals.forEach(booking => {
+    const user = state.users.find(u => u.user_id === booking.user_id);
+    const room = state.rooms.find(r => r.room_id === booking.room_id);
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>#${booking.booking_id}</td>
+      <td>${user.full_name}</td>
+      <td>${room.room_number} <span class="status-${room.status.toLowerCase()}">(${room.status})</span></td>
+      <td><span class="status-${booking.status.toLowerCase()}">${booking.status}</span></td>
+      <td>
+        ${booking.status === 'CONFIRMED' ? 
+          html`<button class="btn btn-edit" data-action="frontDeskCheckIn" data-id="${booking.booking_id}">Nhận phòng</button>` : 
+          html`<button class="btn" data-action="showBookingManagementForm" data-id="${booking.booking_id}">Xác nhận</button>`
+        }
+      </td>
+    `;
+    arrivalsBody.appendChild(tr);
+  });
+  
+  const departuresBody = document.querySelector('#tbl-departures tbody');
+  departuresBody.innerHTML = departures.length === 0 ? 
+    html`<tr><td colspan="5" class="empty-row">Không có khách trả phòng hôm nay</td></tr>` : '';
+  departures.forEach(booking => {
+    const user = state.users.find(u => u.user_id === booking.user_id);
+    const room = state.rooms.find(r => r.room_id === booking.room_id);
+    const balance = booking.total_amount - getAmountPaid(booking.booking_id);
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>#${booking.booking_id}</td>
+      <td>${user.full_name}</td>
+      <td>${room.room_number}</td>
+      <td>${formatMoney(balance)}</td>
+      <td>
+        <button class="btn btn-delete" data-action="frontDeskCheckOut" data-id="${booking.booking_id}">Trả phòng</button>
+      </td>
+    `;
+    departuresBody.appendChild(tr);
+  });
+  
+  const cleaningBody = document.querySelector('#tbl-cleaning tbody');
+  cleaningBody.innerHTML = cleaningRooms.length === 0 ? 
+    html`<tr><td colspan="3" class="empty-row">Không có phòng cần dọn</td></tr>` : '';
+  cleaningRooms.forEach(room => {
+    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>${room.room_number}</td>
+      <td>${roomType.name}</td>
+      <td>
+        <button class="btn btn-edit" data-action="markRoomCleaned" data-id="${room.room_id}">Đã dọn xong</button>
+      </td>
+    `;
+    cleaningBody.appendChild(tr);
+  });
+}
+
+function frontDeskCheckIn(bookingId) {
+  if (!requirePermission('bookings:write')) return;
+  
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  const room = state.rooms.find(r => r.room_id === booking.room_id);
+  
+  if (room.status === 'Maintenance' || room.status === 'Occupied') {
+    alert(`Phòng ${room.room_number} đang ở trạng thái ${room.status}, không thể nhận phòng`);
+    return;
+  }
+  
+  if (room.status === 'Cleaning' && !confirm(`Phòng ${room.room_number} chưa dọn xong. Vẫn nhận phòng?`)) {
+    return;
+  }
+  
+  if (!transitionBooking(booking, 'CHECKED_IN')) return;
+  
+  renderFrontDesk();
+  alert(`Đã nhận phòng ${room.room_number} cho đơn #${bookingId}`);
+}
+
+function frontDeskCheckOut(bookingId) {
+  if (!requirePermission('bookings:write')) return;
+  
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  const room = state.rooms.find(r => r.room_id === booking.room_id);
+  const paid = getAmountPaid(bookingId);
+  const balance = booking.total_amount - paid;
+  
+  const completeCheckOut = () => {
+    if (!transitionBooking(booking, 'CHECKED_OUT')) return false;
+    renderFrontDesk();
+    alert(`Đã trả phòng ${room.room_number}. Phòng chuyển sang trạng thái dọn dẹp.`);
+    if (confirm('Xuất hóa đơn cho khách?')) {
+      if (booking.reservation_id) {
+        issueGroupInvoice(booking.reservation_id);
+      } else {
+        issueInvoice(bookingId);
+      }
+    }
+    return true;
+  };
+  
+  if (balance <= 0) {
+    if (confirm(`Đơn #${bookingId} đã thanh toán đủ. Xác nhận trả phòng?`)) {
+      completeCheckOut();
+    }
+    return;
+  }
+  
+  // Settle the outstanding balance before checking out
+  openModal({
+    title: `Thanh toán & trả phòng #${bookingId}`,
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        <div class="booking-info">
+          <p><strong>Phòng:</strong> ${room.room_number}</p>
+          <p><strong>Tổng tiền:</strong> ${formatMoney(booking.total_amount)}</p>
+          <p><strong>Đã thanh toán:</strong> ${formatMoney(paid)}</p>
+          <p><strong>Còn lại:</strong> ${formatMoney(balance)}</p>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_settle_method">Phương thức *</label>
+          <select id="f_settle_method" required>
+            ${Object.entries(PAYMENT_METHODS).map(([value, label]) => html`
+              <option value="${value}">${label}</option>
+            `)}
+          </select>
+        </div>
+      `;
+      return div;
+    },
+    onSubmit: () => {
+      if (!requirePermission('payments:write')) return false;
+      
+      insertRecord('payments', {
+        booking_id: bookingId,
+        amount: balance,
+        payment_method: document.getElementById('f_settle_method').value,
+        payment_date: new Date().toISOString().split('T')[0],
+        status: 'PAID',
+        payment_type: 'SETTLEMENT'
+      });
+      
+      return completeCheckOut();
+    }
+  });
+}
+
+function markRoomCleaned(roomId) {
+  if (!requirePermission('rooms:write')) return;
+  
+  updateRecord('rooms', roomId, { status: 'Available' });
+  renderFrontDesk();
+}
+
+/* =========================
+   Tape Chart
+   ========================= */
+
+const TAPE_CHART_DAYS = 14;
+// Bookings that can still be moved to another room or date
+const MOVABLE_STATUSES = ['PENDING', 'CONFIRMED'];
+
+let tapeChartStart = null;
+// First clicked cell while picking the nights of a new booking
+let tapeSelection = null;
+
+function renderTapeChart() {
+  if (!tapeChartStart) tapeChartStart = todayISO();
+  document.getElementById('tape-chart-start').value = tapeChartStart;
+  
+  const today = todayISO();
+  const days = Array.from({ length: TAPE_CHART_DAYS }, (_, i) => addDays(tapeChartStart, i));
+  const end = addDays(tapeChartStart, TAPE_CHART_DAYS);
+  const column = date => calculateNights(tapeChartStart, date) + 2;
+  
+  const rooms = [...state.rooms].sort((a, b) => compareValues(a.room_number, b.room_number));
+  const cells = [];
+  
+  days.forEach((date, i) => {
+    const weekday = new Date(date).getUTCDay();
+    cells.push(html`
+      <div class="tape-day ${weekday === 0 || weekday === 6 ? 'weekend' : ''} ${date === today ? 'today' : ''}" style="grid-row: 1; grid-column: ${i + 2}">
+        <span>${WEEKDAY_LABELS[weekday]}</span>
+        <strong>${date.slice(8)}/${date.slice(5, 7)}</strong>
+      </div>
+    `);
+  });
+  
+  rooms.forEach((room, r) => {
+    const row = r + 2;
+    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+    cells.push(html`
+      <div class="tape-room" style="grid-row: ${row}; grid-column: 1">
+        <strong>${room.room_number}</strong>
+        <span>${roomType?.name || ''}</span>
+      </div>
+    `);
+    
+    days.forEach((date, i) => {
+      const selected = tapeSelection && tapeSelection.roomId === room.room_id && tapeSelection.date === date;
+      cells.push(html`
+        <div class="tape-cell ${date < today ? 'past' : ''} ${selected ? 'selected' : ''}" style="grid-row: ${row}; grid-column: ${i + 2}"
+          data-action="selectTapeCell" data-room="${room.room_id}" data-date="${date}"></div>
+      `);
+    });
+    
+    if (room.status === 'Maintenance') {
+      const from = today > tapeChartStart ? today : tapeChartStart;
+      if (from < end) {
+        cells.push(html`<div class="tape-block" style="grid-row: ${row}; grid-column: ${column(from)} / ${TAPE_CHART_DAYS + 2}">Bảo trì</div>`);
+      }
+    }
+    
+    state.bookings
+      .filter(b => b.room_id === room.room_id && b.status !== 'CANCELLED' && b.status !== 'NO_SHOW')
+      .filter(b => b.check_in_date < end && b.check_out_date > tapeChartStart)
+      .forEach(booking => {
+        const user = state.users.find(u => u.user_id === booking.user_id);
+        const visibleStart = booking.check_in_date > tapeChartStart ? booking.check_in_date : tapeChartStart;
+        const visibleEnd = booking.check_out_date < end ? booking.check_out_date : end;
+        const movable = MOVABLE_STATUSES.includes(booking.status) && hasPermission('bookings:write');
+        cells.push(html`
+          <div class="tape-bar tape-${booking.status.toLowerCase()}" style="grid-row: ${row}; grid-column: ${column(visibleStart)} / ${column(visibleEnd)}"
+            title="#${booking.booking_id} ${user?.full_name || ''}: ${booking.check_in_date} → ${booking.check_out_date} (${BOOKING_STATUS_LABELS[booking.status]})"
+            data-booking="${booking.booking_id}" data-start="${visibleStart}"
+            data-nights="${calculateNights(visibleStart, visibleEnd)}" draggable="${movable}"
+            data-action="viewBookingDetails" data-id="${booking.booking_id}">
+            #${booking.booking_id} ${user?.full_name || ''}
+          </div>
+        `);
+      });
+  });
+  
+  const chart = document.getElementById('tape-chart-grid');
+  chart.style.gridTemplateColumns = `140px repeat(${TAPE_CHART_DAYS}, minmax(48px, 1fr))`;
+  chart.innerHTML = html`<div class="tape-corner" style="grid-row: 1; grid-column: 1">Phòng</div>${cells}`;
+}
+
+function shiftTapeChart(days) {
+  tapeChartStart = days === 0 ? todayISO() : addDays(tapeChartStart, days);
+  tapeSelection = null;
+  renderTapeChart();
+}
+
+/**
+ * Click a free cell for the first night, then another cell in the same row for the last night
+ */
+function selectTapeCell(roomId, date) {
+  if (!requirePermission('bookings:create')) return;
+  
+  const room = state.rooms.find(r => r.room_id === roomId);
+  if (date < todayISO()) {
+    alert('Không thể đặt phòng cho ngày đã qua');
+    return;
+  }
+  if (room.status === 'Maintenance') {
+    alert('Phòng đang bảo trì');
+    return;
+  }
+  
+  if (!tapeSelection || tapeSelection.roomId !== roomId || date < tapeSelection.date) {
+    tapeSelection = { roomId: roomId, date: date };
+    renderTapeChart();
+    return;
+  }
+  
+  const checkIn = tapeSelection.date;
+  const checkOut = addDays(date, 1);
+  const guests = parseInt(document.getElementById('tape-chart-guests').value) || 1;
+  const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+  tapeSelection = null;
+  renderTapeChart();
+  
+  if (checkOverlap(roomId, checkIn, checkOut)) {
+    alert('Phòng đã có khách trong khoảng thời gian này');
+    return;
+  }
+  if (roomType.capacity < guests) {
+    alert(`Phòng chỉ chứa tối đa ${roomType.capacity} khách`);
+    return;
+  }
+  showBookingForm(roomId, checkIn, checkOut, guests);
+}
+
+/**
+ * Move a booking to another room and/or start date, keeping its length
+ */
+function moveBooking(bookingId, roomId, checkIn) {
+  if (!requirePermission('bookings:write')) return;
+  
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  if (!MOVABLE_STATUSES.includes(booking.status)) {
+    alert('Chỉ có thể chuyển đơn chưa nhận phòng');
+    return;
+  }
+  if (booking.room_id === roomId && booking.check_in_date === checkIn) return;
+  if (booking.reservation_id && booking.check_in_date !== checkIn) {
+    alert(`Các phòng của nhóm #${booking.reservation_id} dùng chung ngày lưu trú, chỉ có thể đổi phòng`);
+    return;
+  }
+  
+  const room = state.rooms.find(r => r.room_id === roomId);
+  const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+  const checkOut = addDays(checkIn, calculateNights(booking.check_in_date, booking.check_out_date));
+  
+  if (checkIn < todayISO()) {
+    alert('Không thể chuyển đơn về ngày đã qua');
+    return;
+  }
+  if (room.status === 'Maintenance') {
+    alert('Phòng đang bảo trì');
+    return;
+  }
+  if (roomType.capacity < booking.number_of_guests) {
+    alert(`Phòng ${room.room_number} chỉ chứa tối đa ${roomType.capacity} khách`);
+    return;
+  }
+  if (checkOverlap(roomId, checkIn, checkOut, bookingId)) {
+    alert('Phòng đã có khách trong khoảng thời gian này');
+    return;
+  }
+  
+  const price = calculateRoomPrice(roomType, checkIn, checkOut);
+  
+  // The discount is dropped when the code no longer fits the new room or dates
+  const promotionCheck = booking.promotion ? validatePromotion(booking.promotion.code, {
+    typeId: room.type_id,
+    checkIn: checkIn,
+    checkOut: checkOut,
+    userId: booking.user_id,
+    bookingId: bookingId
+  }) : {};
+  const message = `Chuyển đơn #${bookingId} sang phòng ${room.room_number}, ${checkIn} → ${checkOut}?\n` +
+    `Tiền phòng: ${formatMoney(getRoomAmount(booking))} → ${formatMoney(price.total)}` +
+    (promotionCheck.error ? `\nMã khuyến mãi ${booking.promotion.code} sẽ bị bỏ: ${promotionCheck.error}` : '');
+  if (!confirm(message)) return;
+  
+  updateRecord('bookings', bookingId, {
+    room_id: roomId,
+    check_in_date: checkIn,
+    check_out_date: checkOut,
+    nightly_rates: price.nights,
+    ...(promotionCheck.error ? { promotion: null, discount_amount: 0 } : {})
+  });
+  applyBookingTotals(booking, price.total);
+  renderTapeChart();
+}
+
+/**
+ * Drag and drop of booking bars, delegated on the chart container
+ */
+function initTapeChartEvents() {
+  const chart = document.getElementById('tape-chart-grid');
+  let drag = null;
+  
+  chart.addEventListener('dragstart', e => {
+    const bar = e.target.closest('.tape-bar');
+    if (!bar) return;
+    
+    // Remember which night of the bar was grabbed so the drop keeps that offset
+    const nights = parseInt(bar.dataset.nights);
+    const grabbed = Math.min(nights - 1, Math.max(0, Math.floor(e.offsetX / (bar.offsetWidth / nights)))) || 0;
+    drag = { bookingId: parseInt(bar.dataset.booking), grabbedDate: addDays(bar.dataset.start, grabbed) };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', bar.dataset.booking);
+    
+    // Let drops reach the cells under the bars
+    setTimeout(() => chart.classList.add('dragging'), 0);
+  });
+  
+  chart.addEventListener('dragend', () => {
+    chart.classList.remove('dragging');
+    chart.querySelectorAll('.drop-target').forEach(c => c.classList.remove('drop-target'));
+    drag = null;
+  });
+  
+  chart.addEventListener('dragover', e => {
+    const cell = e.target.closest('.tape-cell');
+    if (!drag || !cell) return;
+    e.preventDefault();
+    chart.querySelectorAll('.drop-target').forEach(c => c.classList.remove('drop-target'));
+    cell.classList.add('drop-target');
+  });
+  
+  chart.addEventListener('drop', e => {
+    const cell = e.target.closest('.tape-cell');
+    if (!drag || !cell) return;
+    e.preventDefault();
+    
+    const booking = state.bookings.find(b => b.booking_id === drag.bookingId);
+    const shift = calculateNights(drag.grabbedDate, cell.dataset.date) * (cell.dataset.date < drag.grabbedDate ? -1 : 1);
+    moveBooking(drag.bookingId, parseInt(cell.dataset.room), addDays(booking.check_in_date, shift));
   });
+}
+
+/* =========================
+   Folio & Invoices
+   ========================= */
+
+const HOTEL_INFO = {
+  name: 'Hotel Booking System',
+  address: 'Hà Nội, Việt Nam',
+  phone: '028-1234-5678',
+  email: 'info@hotelbooking.com'
+};
+
+/**
+ * Itemize everything charged and paid on a booking
+ */
+function buildFolio(booking) {
+  const room = state.rooms.find(r => r.room_id === booking.room_id);
+  const bookingServices = state.bookingServices.filter(bs => bs.booking_id === booking.booking_id);
+  
+  // Bookings made before per-night pricing only kept the total
+  let nightlyRates = booking.nightly_rates;
+  if (!nightlyRates) {
+    const nights = calculateNights(booking.check_in_date, booking.check_out_date);
+    const perNight = Math.round(getRoomAmount(booking) / nights);
+    nightlyRates = Array.from({ length: nights }, (_, i) => ({
+      date: addDays(booking.check_in_date, i), price: perNight, rule_name: null
+    }));
+  }
+  
+  const roomLines = nightlyRates.map(night => ({
+    description: `Tiền phòng ${room.room_number} - đêm ${night.date}${night.rule_name ? ` (${night.rule_name})` : ''}`,
+    quantity: 1,
+    unit_price: night.price,
+    amount: night.price
+  }));
+  
+  const serviceLines = bookingServices.map(bs => {
+    const service = state.services.find(s => s.service_id === bs.service_id);
+    return {
+      description: service ? service.name : 'Dịch vụ',
+      quantity: bs.quantity,
+      unit_price: bs.price / bs.quantity,
+      amount: bs.price
+    };
+  });
+  
+  const payments = state.payments.filter(p => p.booking_id === booking.booking_id);
+  const paid = getAmountPaid(booking.booking_id);
   
-  // Set default dates
-  const today = new Date().toISOString().split('T')[0];
-  const tomorrow = new Date(Date.now() + 86400000).toISOString().split('T')[0];
-  document.getElementById('check-in').value = today;
-  document.getElementById('check-out').value = tomorrow;
+  return {
+    lines: [...roomLines, ...serviceLines],
+    totals: getBookingTotals(booking),
+    payments: payments,
+    paid: paid,
+    balance: booking.total_amount - paid
+  };
+}
+
+/**
+ * One folio for every room of a reservation that was not cancelled
+ */
+function buildGroupFolio(reservationId) {
+  const folios = getReservationBookings(reservationId)
+    .filter(b => b.status !== 'CANCELLED')
+    .map(buildFolio);
   
-  // Clear available rooms
-  document.getElementById('available-rooms').innerHTML = '';
+  return {
+    lines: folios.flatMap(f => f.lines),
+    totals: combineTotals(folios.map(f => f.totals)),
+    payments: folios.flatMap(f => f.payments),
+    paid: folios.reduce((sum, f) => sum + f.paid, 0),
+    balance: folios.reduce((sum, f) => sum + f.balance, 0)
+  };
 }
 
-function searchAvailableRooms() {
-  const checkIn = document.getElementById('check-in').value;
-  const checkOut = document.getElementById('check-out').value;
-  const guests = parseInt(document.getElementById('guests').value);
-  const roomTypeId = document.getElementById('room-type').value;
+/**
+ * Issued invoice of a booking or reservation; null while only a draft exists
+ */
+function findInvoice(field, id) {
+  return state.invoices.find(i => i[field] === id) || null;
+}
+
+/**
+ * Issue the next sequential number, keeping the folio as it is now
+ */
+function createInvoice(field, id, folio) {
+  const invoiceId = generateId(state.invoices, 'invoice_id');
+  return insertRecord('invoices', {
+    invoice_number: `HD${String(invoiceId).padStart(6, '0')}`,
+    [field]: id,
+    issued_at: new Date().toISOString(),
+    issued_by: state.currentUser.user_id,
+    folio: JSON.parse(JSON.stringify(folio))
+  });
+}
+
+/**
+ * Issue the invoice of a booking on request; pending bookings are not invoiced
+ * and rooms of a group are only billed on the group invoice
+ */
+function issueInvoice(bookingId) {
+  if (!requirePermission('bookings:write')) return;
   
-  if (!checkIn || !checkOut) {
-    alert('Vui lòng chọn ngày nhận và trả phòng');
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  if (booking.reservation_id) {
+    alert(`Đơn thuộc nhóm #${booking.reservation_id}, vui lòng xuất hóa đơn nhóm`);
     return;
   }
+  if (booking.status === 'PENDING') {
+    alert('Đơn đặt chưa được xác nhận, chưa thể xuất hóa đơn');
+    return;
+  }
+  if (!findInvoice('booking_id', bookingId)) createInvoice('booking_id', bookingId, buildFolio(booking));
+  showInvoice(bookingId);
+}
+
+function issueGroupInvoice(reservationId) {
+  if (!requirePermission('bookings:write')) return;
   
-  if (new Date(checkOut) <= new Date(checkIn)) {
-    alert('Ngày trả phòng phải sau ngày nhận phòng');
+  const members = getReservationBookings(reservationId);
+  if (members.some(b => b.status === 'PENDING')) {
+    alert('Nhóm còn đơn chưa được xác nhận, chưa thể xuất hóa đơn');
+    return;
+  }
+  // A room billed on its own invoice must not be billed again
+  const invoiced = members.filter(b => findInvoice('booking_id', b.booking_id));
+  if (invoiced.length > 0) {
+    alert(`Đơn ${invoiced.map(b => `#${b.booking_id}`).join(', ')} đã có hóa đơn riêng, không thể xuất hóa đơn nhóm`);
     return;
   }
+  if (!findInvoice('reservation_id', reservationId)) {
+    createInvoice('reservation_id', reservationId, buildGroupFolio(reservationId));
+  }
+  showGroupInvoice(reservationId);
+}
+
+function showInvoice(bookingId) {
+  if (!requirePermission('bookings:read')) return;
   
-  const availableRoomsContainer = document.getElementById('available-rooms');
-  availableRoomsContainer.innerHTML = '<h3>Đang tìm phòng...</h3>';
+  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  const user = state.users.find(u => u.user_id === booking.user_id);
+  const room = state.rooms.find(r => r.room_id === booking.room_id);
+  const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+  const invoice = findInvoice('booking_id', bookingId);
   
-  setTimeout(() => {
-    const availableRooms = state.rooms.filter(room => {
-      // Check room status
-      if (room.status !== 'Available') return false;
+  // Invoices issued before folios were kept show today's figures
+  renderInvoice(invoice, user, html`
+    <h4>Đơn đặt #${booking.booking_id}</h4>
+    <p>Phòng ${room.room_number} - ${roomType.name}</p>
+    <p>${booking.check_in_date} → ${booking.check_out_date} (${booking.number_of_guests} khách)</p>
+  `, invoice && invoice.folio || buildFolio(booking), booking.reservation_id ?
+    { action: 'showGroupInvoice', id: booking.reservation_id, label: `Hóa đơn nhóm #${booking.reservation_id}` } :
+    { action: 'issueInvoice', id: bookingId, label: 'Xuất hóa đơn' });
+}
+
+function showGroupInvoice(reservationId) {
+  if (!requirePermission('bookings:read')) return;
+  
+  const reservation = findRecord('reservations', reservationId);
+  const user = state.users.find(u => u.user_id === reservation.user_id);
+  const rooms = getReservationBookings(reservationId)
+    .filter(b => b.status !== 'CANCELLED')
+    .map(b => roomOf(b).room_number);
+  
+  const invoice = findInvoice('reservation_id', reservationId);
+  
+  modal.classList.add('hidden');
+  renderInvoice(invoice, {
+    full_name: reservation.contact_name,
+    email: reservation.contact_email || user.email,
+    phone: reservation.contact_phone,
+    address: user.address
+  }, html`
+    <h4>Đặt phòng nhóm #${reservationId}</h4>
+    <p>Phòng ${rooms.join(', ')}</p>
+    <p>${reservation.check_in_date} → ${reservation.check_out_date} (${reservation.number_of_guests} khách)</p>
+  `, invoice && invoice.folio || buildGroupFolio(reservationId), { action: 'issueGroupInvoice', id: reservationId, label: 'Xuất hóa đơn' });
+}
+
+/**
+ * Fill the printable invoice section; stayDetails describes what is billed
+ * Without an invoice the folio is shown as a draft with issue as the action to take:
+ * { action, id, label }, the group invoice for a room of a group.
+ */
+function renderInvoice(invoice, customer, stayDetails, folio, issue) {
+  document.getElementById('invoice-content').innerHTML = html`
+    ${!invoice ? html`
+      <div class="account-notice no-print">
+        <p>Đây là bản tạm tính, chưa có số hóa đơn.</p>
+        ${hasPermission('bookings:write') ? html`<button class="btn primary" data-action="${issue.action}" data-id="${issue.id}">${issue.label}</button>` : ''}
+      </div>
+    ` : ''}
+    <div class="invoice">
+      <div class="invoice-header">
+        <div>
+          <h2>${HOTEL_INFO.name}</h2>
+          <p>${HOTEL_INFO.address}</p>
+          <p>ĐT: ${HOTEL_INFO.phone} - Email: ${HOTEL_INFO.email}</p>
+        </div>
+        <div class="invoice-meta">
+          <h3>${invoice ? 'HÓA ĐƠN' : 'HÓA ĐƠN TẠM TÍNH'}</h3>
+          <p><strong>Số:</strong> ${invoice ? invoice.invoice_number : 'Chưa xuất'}</p>
+          <p><strong>Ngày:</strong> ${new Date(invoice ? invoice.issued_at : Date.now()).toLocaleDateString('vi-VN')}</p>
+        </div>
+      </div>
+      
+      <div class="invoice-parties">
+        <div>
+          <h4>Khách hàng</h4>
+          <p>${customer.full_name}</p>
+          <p>${customer.email}${customer.phone ? ` - ${customer.phone}` : ''}</p>
+          <p>${customer.address || ''}</p>
+        </div>
+        <div>
+          ${stayDetails}
+        </div>
+      </div>
       
-      // Check room type filter
-      if (roomTypeId && room.type_id != roomTypeId) return false;
+      <table class="invoice-table">
+        <thead>
+          <tr>
+            <th>Mô tả</th>
+            <th>SL</th>
+            <th>Đơn giá</th>
+            <th>Thành tiền</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${folio.lines.map(line => html`
+            <tr>
+              <td>${line.description}</td>
+              <td>${line.quantity}</td>
+              <td>${formatMoney(line.unit_price)}</td>
+              <td>${formatMoney(line.amount)}</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
       
-      // Check capacity
-      const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
-      if (roomType && roomType.capacity < guests) return false;
+      <div class="invoice-totals">
+        ${renderTotalsBreakdown(folio.totals)}
+        <div class="total-row"><span>Đã thanh toán</span><span>${formatMoney(folio.paid)}</span></div>
+        <div class="total-row grand"><span>Còn phải trả</span><span>${formatMoney(folio.balance)}</span></div>
+      </div>
       
-      // Check booking overlap
-      return !checkOverlap(room.room_id, checkIn, checkOut);
-    });
-    
-    renderAvailableRooms(availableRooms, checkIn, checkOut, guests);
-  }, 500);
+      ${folio.payments.length > 0 ? html`
+        <h4>Thanh toán</h4>
+        <table class="invoice-table">
+          <thead>
+            <tr>
+              <th>Mã</th>
+              <th>Ngày</th>
+              <th>Phương thức</th>
+              <th>Trạng thái</th>
+              <th>Số tiền</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${folio.payments.map(payment => html`
+              <tr>
+                <td>#${payment.payment_id}</td>
+                <td>${payment.payment_date}</td>
+                <td>${payment.payment_method}</td>
+                <td>${payment.status}</td>
+                <td>${formatMoney(payment.amount)}</td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+      ` : ''}
+      
+      <p class="invoice-thanks">Cảm ơn quý khách đã sử dụng dịch vụ!</p>
+    </div>
+  `;
+  
+  setActiveSection('invoice');
 }
 
-function renderAvailableRooms(rooms, checkIn, checkOut, guests) {
-  const availableRoomsContainer = document.getElementById('available-rooms');
+/* =========================
+   Users Management
+   ========================= */
+
+function renderUsers() {
+  const tbody = document.querySelector('#tbl-users tbody');
+  tbody.innerHTML = '';
   
-  if (rooms.length === 0) {
-    availableRoomsContainer.innerHTML = `
-      <div class="no-rooms">
-        <h3>Không tìm thấy phòng phù hợp</h3>
-        <p>Vui lòng thử lại với tiêu chí khác</p>
-      </div>
+  applyTableView('users').forEach(user => {
+    const role = state.roles.find(r => r.role_id === user.role_id);
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td>${user.user_id}</td>
+      <td>${user.full_name}</td>
+      <td>${user.email}</td>
+      <td>${user.phone}</td>
+      <td>${role.role_name}</td>
+      <td>
+        <button class="btn btn-edit" data-action="showUserForm" data-id="${user.user_id}">Sửa</button>
+        ${user.user_id !== state.currentUser.user_id ? 
+          html`<button class="btn btn-delete" data-action="deleteUser" data-id="${user.user_id}">Xóa</button>` : 
+          ''
+        }
+      </td>
     `;
-    return;
-  }
-  
-  availableRoomsContainer.innerHTML = `
-    <h3>${rooms.length} phòng phù hợp</h3>
-    <div class="rooms-list">
-      ${rooms.map(room => {
-        const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
-        const nights = calculateNights(checkIn, checkOut);
-        const basePrice = roomType.base_price * nights;
-        
-        return `
-          <div class="available-room">
-            <div class="room-info">
-              <h4>Phòng ${room.room_number} - ${roomType.name}</h4>
-              <p>${roomType.description}</p>
-              <div class="room-details">
-                <span>👥 ${roomType.capacity} người</span>
-                <span>🛏️ ${Math.ceil(roomType.capacity / 2)} giường</span>
-                <span>🏨 ${nights} đêm</span>
-              </div>
-              <div class="room-features">${room.features}</div>
-            </div>
-            <div class="room-pricing">
-              <div class="price-breakdown">
-                <div>${formatMoney(roomType.base_price)} x ${nights} đêm</div>
-                <div class="total-price">${formatMoney(basePrice)}</div>
-              </div>
-              <button class="book-now-btn primary" onclick="showBookingForm(${room.room_id}, '${checkIn}', '${checkOut}', ${guests})">
-                Chọn phòng
-              </button>
-            </div>
-          </div>
-        `;
-      }).join('')}
-    </div>
-  `;
+    tbody.appendChild(tr);
+  });
 }
 
-function showBookingForm(roomId, checkIn, checkOut, guests) {
-  const room = state.rooms.find(r => r.room_id === roomId);
-  const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
-  const nights = calculateNights(checkIn, checkOut);
-  const basePrice = roomType.base_price * nights;
+function showUserForm(userId = null) {
+  if (!requirePermission('users:write')) return;
+  
+  const user = userId ? state.users.find(u => u.user_id === userId) : null;
+  const isEdit = !!user;
   
   openModal({
-    title: `Đặt phòng ${room.room_number}`,
+    title: isEdit ? 'Sửa thông tin người dùng' : 'Thêm người dùng mới',
     body: () => {
       const div = document.createElement('div');
-      div.innerHTML = `
-        <div class="booking-summary">
-          <h4>Thông tin đặt phòng</h4>
-          <p><strong>Phòng:</strong> ${room.room_number} - ${roomType.name}</p>
-          <p><strong>Ngày nhận:</strong> ${checkIn}</p>
-          <p><strong>Ngày trả:</strong> ${checkOut}</p>
-          <p><strong>Số đêm:</strong> ${nights}</p>
-          <p><strong>Số khách:</strong> ${guests}</p>
-          <p><strong>Giá phòng:</strong> ${formatMoney(basePrice)}</p>
+      div.innerHTML = html`
+        <div class="form-group">
+          <label for="f_user_name">Họ tên *</label>
+          <input type="text" id="f_user_name" value="${isEdit ? user.full_name : ''}" required>
         </div>
         
-        <div class="services-selection">
-          <h4>Dịch vụ bổ sung</h4>
-          ${state.services.map(service => `
-            <label class="service-checkbox">
-              <input type="checkbox" value="${service.service_id}" data-price="${service.price}">
-              <span>${service.name} - ${formatMoney(service.price)}</span>
-            </label>
-          `).join('')}
+        <div class="form-group">
+          <label for="f_user_email">Email *</label>
+          <input type="email" id="f_user_email" value="${isEdit ? user.email : ''}" required>
         </div>
         
-        <div class="total-amount">
-          <h4>Tổng cộng: <span id="booking-total">${formatMoney(basePrice)}</span></h4>
+        <div class="form-group">
+          <label for="f_user_phone">Số điện thoại</label>
+          <input type="text" id="f_user_phone" value="${isEdit ? user.phone : ''}">
+        </div>
+        
+        <div class="form-group">
+          <label for="f_user_address">Địa chỉ</label>
+          <input type="text" id="f_user_address" value="${isEdit ? user.address : ''}">
+        </div>
+        
+        <div class="form-group">
+          <label for="f_user_role">Vai trò *</label>
+          <select id="f_user_role" required>
+            ${state.roles.map(role => html`
+              <option value="${role.role_id}" ${isEdit && user.role_id === role.role_id ? 'selected' : ''}>
+                ${role.role_name}
+              </option>
+            `)}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_user_password">${isEdit ? 'Đặt lại mật khẩu' : 'Mật khẩu *'}</label>
+          <input type="password" id="f_user_password" ${isEdit ? 'placeholder="Để trống nếu không đổi"' : 'required'}>
+        </div>
+        
+        <div class="form-group">
+          <label class="check-option">
+            <input type="checkbox" id="f_user_must_change" ${isEdit && user.must_change_password ? 'checked' : ''}>
+            <span>Yêu cầu đổi mật khẩu ở lần đăng nhập tới</span>
+          </label>
         </div>
       `;
+      attachStrengthMeter(div.querySelector('#f_user_password'));
       return div;
     },
-    onSubmit: () => {
-      const selectedServices = Array.from(document.querySelectorAll('.service-checkbox input:checked'))
-        .map(input => ({
-          service_id: parseInt(input.value),
-          price: parseFloat(input.dataset.price),
-          quantity: 1
-        }));
+    onSubmit: async () => {
+      if (!requirePermission('users:write')) return false;
       
-      const servicesTotal = selectedServices.reduce((sum, service) => sum + service.price, 0);
-      const totalAmount = basePrice + servicesTotal;
+      const name = document.getElementById('f_user_name').value.trim();
+      const email = document.getElementById('f_user_email').value.trim();
+      const phone = document.getElementById('f_user_phone').value.trim();
+      const address = document.getElementById('f_user_address').value.trim();
+      const roleId = parseInt(document.getElementById('f_user_role').value);
+      const password = document.getElementById('f_user_password').value;
+      const mustChange = document.getElementById('f_user_must_change').checked;
       
-      const newBooking = {
-        booking_id: generateId(state.bookings),
-        user_id: state.currentUser.user_id,
-        room_id: roomId,
-        check_in_date: checkIn,
-        check_out_date: checkOut,
-        number_of_guests: guests,
-        status: 'PENDING',
-        total_amount: totalAmount
-      };
+      if (!name || !email) {
+        alert('Vui lòng nhập họ tên và email');
+        return false;
+      }
+      
+      // Check email uniqueness
+      const emailExists = state.users.some(u => 
+        u.email === email && u.user_id !== (user?.user_id)
+      );
+      
+      if (emailExists) {
+        alert('Email đã tồn tại trong hệ thống');
+        return false;
+      }
       
-      state.bookings.push(newBooking);
+      const passwordError = (password || !isEdit) && validateNewPassword(password);
+      if (passwordError) {
+        alert(passwordError);
+        return false;
+      }
       
-      // Add booking services
-      selectedServices.forEach(service => {
-        state.bookingServices.push({
-          booking_service_id: generateId(state.bookingServices),
-          booking_id: newBooking.booking_id,
-          service_id: service.service_id,
-          quantity: service.quantity,
-          price: service.price
-        });
-      });
+      const data = {
+        full_name: name,
+        email: email,
+        phone: phone,
+        address: address,
+        role_id: roleId,
+        must_change_password: mustChange
+      };
       
-      saveData(state);
-      alert('Đặt phòng thành công!');
-      setActiveSection('my-bookings');
+      if (isEdit) {
+        updateRecord('users', user.user_id, data);
+        // Admin reset: the user's open sessions end with the old password
+        if (password) await setUserPassword(user.user_id, password, mustChange);
+      } else {
+        insertRecord('users', { ...data, ...(await hashPassword(password)) });
+      }
+      
+      renderUsers();
       return true;
     }
   });
 }
 
+function deleteUser(userId) {
+  if (!requirePermission('users:write')) return;
+  
+  if (confirm('Bạn có chắc chắn muốn xóa người dùng này?')) {
+    // Check if user has bookings
+    const hasBookings = state.bookings.some(b => b.user_id === userId);
+    
+    if (hasBookings) {
+      alert('Không thể xóa người dùng đang có đơn đặt');
+      return;
+    }
+    
+    removeRecord('users', userId);
+    renderUsers();
+    alert('Đã xóa người dùng thành công');
+  }
+}
+
+/* =========================
+   My Account
+   ========================= */
+
+function renderAccount() {
+  const user = findRecord('users', state.currentUser.user_id);
+  
+  document.getElementById('f_account_email').value = user.email;
+  document.getElementById('f_account_name').value = user.full_name;
+  document.getElementById('f_account_phone').value = user.phone || '';
+  document.getElementById('f_account_address').value = user.address || '';
+  document.getElementById('account-password-form').reset();
+  document.getElementById('f_account_new_password').dispatchEvent(new Event('input'));
+  document.getElementById('account-notice').classList.toggle('hidden', !user.must_change_password);
+}
+
+function saveAccountProfile() {
+  const name = document.getElementById('f_account_name').value.trim();
+  if (!name) {
+    alert('Vui lòng nhập họ tên');
+    return;
+  }
+  
+  const user = updateRecord('users', state.currentUser.user_id, {
+    full_name: name,
+    phone: document.getElementById('f_account_phone').value.trim(),
+    address: document.getElementById('f_account_address').value.trim()
+  });
+  state.currentUser = toSessionUser(user);
+  updateUIForCurrentUser();
+  alert('Đã cập nhật thông tin tài khoản');
+}
+
+async function changeOwnPassword() {
+  const user = findRecord('users', state.currentUser.user_id);
+  const current = document.getElementById('f_account_current_password').value;
+  const password = document.getElementById('f_account_new_password').value;
+  
+  if (!(await verifyPassword(user, current))) {
+    alert('Mật khẩu hiện tại không chính xác');
+    return;
+  }
+  
+  const error = validateNewPassword(password, document.getElementById('f_account_confirm_password').value);
+  if (error) {
+    alert(error);
+    return;
+  }
+  if (password === current) {
+    alert('Mật khẩu mới phải khác mật khẩu hiện tại');
+    return;
+  }
+  
+  await setUserPassword(user.user_id, password);
+  updateUIForCurrentUser();
+  renderAccount();
+  alert('Đã đổi mật khẩu thành công');
+}
+
 /* =========================
-   My Bookings
+   Payment Ledger
    ========================= */
 
-function renderMyBookings() {
-  const tbody = document.querySelector('#tbl-my-bookings tbody');
-  tbody.innerHTML = '';
-  
-  const myBookings = state.bookings.filter(b => b.user_id === state.currentUser.user_id);
-  
-  myBookings.forEach(booking => {
-    const room = state.rooms.find(r => r.room_id === booking.room_id);
-    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
-    
-    const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td>#${booking.booking_id}</td>
-      <td>${room.room_number} - ${roomType.name}</td>
-      <td>${booking.check_in_date}</td>
-      <td>${booking.check_out_date}</td>
-      <td>${formatMoney(booking.total_amount)}</td>
-      <td><span class="status-${booking.status.toLowerCase()}">${booking.status}</span></td>
-      <td>
-        <button class="btn btn-edit" onclick="viewBookingDetails(${booking.booking_id})">Xem</button>
-        ${booking.status === 'PENDING' ? `
-          <button class="btn btn-delete" onclick="cancelBooking(${booking.booking_id})">Hủy</button>
-        ` : ''}
-      </td>
-    `;
-    tbody.appendChild(tr);
-  });
+const PAYMENT_METHODS = {
+  'Cash': 'Tiền mặt',
+  'Credit Card': 'Thẻ tín dụng',
+  'Bank Transfer': 'Chuyển khoản',
+  'E-Wallet': 'Ví điện tử'
+};
+
+const PAYMENT_TYPE_LABELS = {
+  DEPOSIT: 'Đặt cọc',
+  PARTIAL: 'Thanh toán một phần',
+  SETTLEMENT: 'Tất toán',
+  REFUND: 'Hoàn tiền',
+  CANCELLATION_FEE: 'Phí hủy'
+};
+
+const PAYMENT_STATUS_LABELS = {
+  PENDING: 'Chờ xử lý',
+  PAID: 'Đã thanh toán',
+  FAILED: 'Thất bại',
+  REFUNDED: 'Đã hoàn tiền'
+};
+
+// Share of the total that must be paid before a booking is auto-confirmed
+const DEPOSIT_RATE = 0.3;
+
+/**
+ * Net amount received for a booking: completed payments minus refunds
+ * Refunds are negative REFUNDED entries tied to the original payment
+ */
+function getAmountPaid(bookingId) {
+  return state.payments
+    .filter(p => p.booking_id === bookingId)
+    .filter(p => p.status === 'PAID' || (p.status === 'REFUNDED' && p.amount < 0))
+    .reduce((sum, p) => sum + p.amount, 0);
 }
 
-function viewBookingDetails(bookingId) {
-  const booking = state.bookings.find(b => b.booking_id === bookingId);
-  const room = state.rooms.find(r => r.room_id === booking.room_id);
-  const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
-  const bookingServices = state.bookingServices.filter(bs => bs.booking_id === bookingId);
-  
-  openModal({
-    title: `Chi tiết đơn đặt #${bookingId}`,
-    body: () => {
-      const div = document.createElement('div');
-      div.innerHTML = `
-        <div class="booking-details">
-          <p><strong>Phòng:</strong> ${room.room_number} - ${roomType.name}</p>
-          <p><strong>Ngày nhận:</strong> ${booking.check_in_date}</p>
-          <p><strong>Ngày trả:</strong> ${booking.check_out_date}</p>
-          <p><strong>Số khách:</strong> ${booking.number_of_guests}</p>
-          <p><strong>Trạng thái:</strong> ${booking.status}</p>
-          
-          ${bookingServices.length > 0 ? `
-            <h4>Dịch vụ đã chọn:</h4>
-            <ul>
-              ${bookingServices.map(bs => {
-                const service = state.services.find(s => s.service_id === bs.service_id);
-                return `<li>${service.name} - ${formatMoney(bs.price)}</li>`;
-              }).join('')}
-            </ul>
-          ` : ''}
-          
-          <h4>Tổng cộng: ${formatMoney(booking.total_amount)}</h4>
-        </div>
-      `;
-      return div;
-    },
-    onSubmit: () => true
-  });
+/**
+ * Cancelled bookings only owe their cancellation fee
+ */
+function getBookingBalance(booking) {
+  const due = booking.status === 'CANCELLED' ? (booking.cancellation_fee || 0) : booking.total_amount;
+  return due - getAmountPaid(booking.booking_id);
 }
 
-function cancelBooking(bookingId) {
-  if (confirm('Bạn có chắc chắn muốn hủy đơn đặt này?')) {
-    const booking = state.bookings.find(b => b.booking_id === bookingId);
-    booking.status = 'CANCELLED';
-    saveData(state);
-    renderMyBookings();
-    alert('Đã hủy đơn đặt thành công');
+/**
+ * Total already refunded against a payment
+ */
+function getRefundedAmount(paymentId) {
+  return state.payments
+    .filter(p => p.refund_of === paymentId)
+    .reduce((sum, p) => sum - p.amount, 0);
+}
+
+function hasMetDepositPolicy(booking) {
+  return getAmountPaid(booking.booking_id) >= Math.ceil(booking.total_amount * DEPOSIT_RATE);
+}
+
+/**
+ * Confirm a pending booking once it is fully paid or the deposit is in
+ */
+function updateBookingAfterPayment(booking) {
+  if (booking.status === 'PENDING' && hasMetDepositPolicy(booking)) {
+    transitionBooking(booking, 'CONFIRMED');
   }
 }
 
 /* =========================
-   Rooms Management
+   Payments Management
    ========================= */
 
-function renderRooms() {
-  const tbody = document.querySelector('#tbl-rooms tbody');
+function renderPayments() {
+  const tbody = document.querySelector('#tbl-payments tbody');
   tbody.innerHTML = '';
   
-  state.rooms.forEach(room => {
-    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
+  applyTableView('payments').forEach(payment => {
+    const booking = state.bookings.find(b => b.booking_id === payment.booking_id);
+    const user = state.users.find(u => u.user_id === booking.user_id);
+    const isRefund = payment.payment_type === 'REFUND';
+    const refundable = payment.status === 'PAID' && payment.amount > getRefundedAmount(payment.payment_id);
+    
     const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td>${room.room_id}</td>
-      <td>${room.room_number}</td>
-      <td>${roomType.name}</td>
-      <td><span class="status-${room.status.toLowerCase()}">${room.status}</span></td>
-      <td>${formatMoney(roomType.base_price)}</td>
+    tr.innerHTML = html`
+      <td>#${payment.payment_id}</td>
+      <td>#${payment.booking_id} (${user.full_name})</td>
+      <td>${PAYMENT_TYPE_LABELS[payment.payment_type] || ''}${isRefund ? ` #${payment.refund_of}` : ''}</td>
+      <td>${formatMoney(payment.amount)}</td>
+      <td>${payment.payment_method}</td>
+      <td>${payment.payment_date}</td>
+      <td><span class="status-${payment.status.toLowerCase()}">${payment.status}</span></td>
       <td>
-        <button class="btn btn-edit" onclick="showRoomForm(${room.room_id})">Sửa</button>
-        <button class="btn btn-delete" onclick="deleteRoom(${room.room_id})">Xóa</button>
+        ${!isRefund ? html`<button class="btn btn-edit" data-action="showPaymentForm" data-id="${payment.payment_id}">Sửa</button>` : ''}
+        ${refundable ? html`<button class="btn btn-delete" data-action="showRefundForm" data-id="${payment.payment_id}">Hoàn tiền</button>` : ''}
       </td>
     `;
     tbody.appendChild(tr);
   });
 }
 
-function showRoomForm(roomId = null) {
-  const room = roomId ? state.rooms.find(r => r.room_id === roomId) : null;
-  const isEdit = !!room;
+function showPaymentForm(paymentId = null) {
+  if (!requirePermission('payments:write')) return;
+  
+  const payment = paymentId ? state.payments.find(p => p.payment_id === paymentId) : null;
+  const isEdit = !!payment;
+  // Refunds count against the payment's booking while it is PAID, so both stay fixed
+  const hasRefunds = isEdit && getRefundedAmount(payment.payment_id) > 0;
+  
+  // Balance for a booking, not counting the payment being edited
+  const balanceFor = (bookingId) => {
+    const booking = state.bookings.find(b => b.booking_id === bookingId);
+    if (!booking) return 0;
+    const counted = isEdit && payment.booking_id === bookingId && payment.status === 'PAID' ? payment.amount : 0;
+    return getBookingBalance(booking) + counted;
+  };
   
   openModal({
-    title: isEdit ? 'Sửa thông tin phòng' : 'Thêm phòng mới',
+    title: isEdit ? 'Sửa thông tin thanh toán' : 'Thêm thanh toán mới',
     body: () => {
       const div = document.createElement('div');
-      div.innerHTML = `
+      div.innerHTML = html`
         <div class="form-group">
-          <label for="f_room_number">Số phòng *</label>
-          <input type="text" id="f_room_number" value="${isEdit ? room.room_number : ''}" required>
+          <label for="f_payment_booking">Đơn đặt *</label>
+          <select id="f_payment_booking" required ${hasRefunds ? 'disabled' : ''}>
+            <option value="">Chọn đơn đặt</option>
+            ${state.bookings.map(booking => {
+              const user = state.users.find(u => u.user_id === booking.user_id);
+              return html`
+                <option value="${booking.booking_id}" ${isEdit && payment.booking_id === booking.booking_id ? 'selected' : ''}>
+                  #${booking.booking_id} - ${user.full_name} - ${formatMoney(booking.total_amount)}
+                </option>
+              `;
+            })}
+          </select>
         </div>
         
+        <div class="booking-info" id="f_payment_ledger"></div>
+        
         <div class="form-group">
-          <label for="f_room_type">Loại phòng *</label>
-          <select id="f_room_type" required>
-            ${state.roomTypes.map(type => `
-              <option value="${type.type_id}" ${isEdit && room.type_id === type.type_id ? 'selected' : ''}>
-                ${type.name}
-              </option>
-            `).join('')}
+          <label for="f_payment_type">Loại thanh toán *</label>
+          <select id="f_payment_type" required>
+            ${['DEPOSIT', 'PARTIAL', 'SETTLEMENT', 'CANCELLATION_FEE'].map(type => html`
+              <option value="${type}" ${isEdit && payment.payment_type === type ? 'selected' : ''}>${PAYMENT_TYPE_LABELS[type]}</option>
+            `)}
           </select>
         </div>
         
         <div class="form-group">
-          <label for="f_room_status">Tình trạng *</label>
-          <select id="f_room_status" required>
-            <option value="Available" ${isEdit && room.status === 'Available' ? 'selected' : ''}>Có sẵn</option>
-            <option value="Occupied" ${isEdit && room.status === 'Occupied' ? 'selected' : ''}>Đã thuê</option>
-            <option value="Maintenance" ${isEdit && room.status === 'Maintenance' ? 'selected' : ''}>Bảo trì</option>
-            <option value="Cleaning" ${isEdit && room.status === 'Cleaning' ? 'selected' : ''}>Đang dọn</option>
+          <label for="f_payment_amount">Số tiền *</label>
+          <input type="number" id="f_payment_amount" value="${isEdit ? payment.amount : ''}" min="0" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_payment_method">Phương thức *</label>
+          <select id="f_payment_method" required>
+            ${Object.entries(PAYMENT_METHODS).map(([value, label]) => html`
+              <option value="${value}" ${isEdit && payment.payment_method === value ? 'selected' : ''}>${label}</option>
+            `)}
           </select>
         </div>
         
         <div class="form-group">
-          <label for="f_room_features">Tiện nghi</label>
-          <input type="text" id="f_room_features" value="${isEdit ? room.features : ''}" placeholder="TV, WiFi, Điều hòa...">
+          <label for="f_payment_date">Ngày thanh toán *</label>
+          <input type="date" id="f_payment_date" value="${isEdit ? payment.payment_date : new Date().toISOString().split('T')[0]}" required>
+        </div>
+        
+        <div class="form-group">
+          <label for="f_payment_status">Trạng thái *</label>
+          <select id="f_payment_status" required ${hasRefunds ? 'disabled' : ''}>
+            <option value="PENDING" ${isEdit && payment.status === 'PENDING' ? 'selected' : ''}>Chờ xử lý</option>
+            <option value="PAID" ${isEdit && payment.status === 'PAID' ? 'selected' : ''}>Đã thanh toán</option>
+            <option value="FAILED" ${isEdit && payment.status === 'FAILED' ? 'selected' : ''}>Thất bại</option>
+            ${isEdit && payment.status === 'REFUNDED' ? html`<option value="REFUNDED" selected>Đã hoàn tiền</option>` : ''}
+          </select>
+          ${hasRefunds ? html`<small>Khoản này đã được hoàn tiền nên không thể đổi trạng thái hoặc đơn đặt</small>` : ''}
         </div>
       `;
+      
+      // Show what is already paid and what is left on the selected booking
+      const bookingSelect = div.querySelector('#f_payment_booking');
+      const updateLedger = () => {
+        const booking = state.bookings.find(b => b.booking_id === parseInt(bookingSelect.value));
+        const ledger = div.querySelector('#f_payment_ledger');
+        if (!booking) {
+          ledger.innerHTML = '';
+          return;
+        }
+        const balance = balanceFor(booking.booking_id);
+        ledger.innerHTML = html`
+          <p><strong>Tổng tiền:</strong> ${formatMoney(booking.total_amount)}</p>
+          <p><strong>Đã thanh toán:</strong> ${formatMoney(booking.total_amount - balance)}</p>
+          <p><strong>Còn lại:</strong> ${formatMoney(balance)}</p>
+          <p><strong>Đặt cọc tối thiểu:</strong> ${formatMoney(Math.ceil(booking.total_amount * DEPOSIT_RATE))}</p>
+        `;
+        if (!isEdit) div.querySelector('#f_payment_amount').value = Math.max(balance, 0);
+      };
+      bookingSelect.addEventListener('change', updateLedger);
+      updateLedger();
+      
       return div;
     },
     onSubmit: () => {
-      const roomNumber = document.getElementById('f_room_number').value.trim();
-      const typeId = parseInt(document.getElementById('f_room_type').value);
-      const status = document.getElementById('f_room_status').value;
-      const features = document.getElementById('f_room_features').value.trim();
+      const bookingId = parseInt(document.getElementById('f_payment_booking').value);
+      const paymentType = document.getElementById('f_payment_type').value;
+      const amount = parseFloat(document.getElementById('f_payment_amount').value);
+      const method = document.getElementById('f_payment_method').value;
+      const date = document.getElementById('f_payment_date').value;
+      const status = document.getElementById('f_payment_status').value;
       
-      if (!roomNumber) {
-        alert('Vui lòng nhập số phòng');
+      if (!requirePermission('payments:write')) return false;
+      
+      if (!bookingId || !(amount > 0)) {
+        alert('Vui lòng kiểm tra lại thông tin thanh toán');
+        return false;
+      }
+      
+      if (status !== 'FAILED' && amount > balanceFor(bookingId)) {
+        alert(`Số tiền vượt quá số còn phải trả (${formatMoney(balanceFor(bookingId))})`);
+        return false;
+      }
+      
+      if (isEdit && amount < getRefundedAmount(payment.payment_id)) {
+        alert('Số tiền không được nhỏ hơn số đã hoàn');
+        return false;
+      }
+      
+      if (hasRefunds && (status !== payment.status || bookingId !== payment.booking_id)) {
+        alert('Khoản này đã được hoàn tiền nên không thể đổi trạng thái hoặc đơn đặt');
         return false;
       }
       
+      const data = {
+        booking_id: bookingId,
+        amount: amount,
+        payment_method: method,
+        payment_date: date,
+        status: status,
+        payment_type: paymentType
+      };
+      
       if (isEdit) {
-        room.room_number = roomNumber;
-        room.type_id = typeId;
-        room.status = status;
-        room.features = features;
+        updateRecord('payments', payment.payment_id, data);
       } else {
-        const newRoom = {
-          room_id: generateId(state.rooms),
-          room_number: roomNumber,
-          type_id: typeId,
-          status: status,
-          features: features
-        };
-        state.rooms.push(newRoom);
+        insertRecord('payments', data);
       }
       
-      saveData(state);
-      renderRooms();
+      const booking = state.bookings.find(b => b.booking_id === bookingId);
+      updateBookingAfterPayment(booking);
+      
+      renderPayments();
+      if (!isEdit) {
+        renderBookings();
+      }
       return true;
     }
   });
 }
 
-function deleteRoom(roomId) {
-  if (confirm('Bạn có chắc chắn muốn xóa phòng này?')) {
-    // Check if room has active bookings
-    const hasBookings = state.bookings.some(b => 
-      b.room_id === roomId && b.status !== 'CANCELLED'
-    );
-    
-    if (hasBookings) {
-      alert('Không thể xóa phòng đang có đơn đặt hoạt động');
-      return;
-    }
-    
-    state.rooms = state.rooms.filter(r => r.room_id !== roomId);
-    saveData(state);
-    renderRooms();
-    alert('Đã xóa phòng thành công');
-  }
-}
-
-/* =========================
-   Services Management
-   ========================= */
-
-function renderServices() {
-  const tbody = document.querySelector('#tbl-services tbody');
-  tbody.innerHTML = '';
+/**
+ * Refund part or all of a payment as a negative ledger entry
+ */
+function showRefundForm(paymentId) {
+  if (!requirePermission('payments:refund')) return;
   
-  state.services.forEach(service => {
-    const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td>${service.service_id}</td>
-      <td>${service.name}</td>
-      <td>${formatMoney(service.price)}</td>
-      <td>
-        <button class="btn btn-edit" onclick="showServiceForm(${service.service_id})">Sửa</button>
-        <button class="btn btn-delete" onclick="deleteService(${service.service_id})">Xóa</button>
-      </td>
-    `;
-    tbody.appendChild(tr);
-  });
-}
-
-function showServiceForm(serviceId = null) {
-  const service = serviceId ? state.services.find(s => s.service_id === serviceId) : null;
-  const isEdit = !!service;
+  const payment = state.payments.find(p => p.payment_id === paymentId);
+  const refundable = payment.amount - getRefundedAmount(paymentId);
+  
+  if (payment.status !== 'PAID' || refundable <= 0) {
+    alert('Thanh toán này không thể hoàn tiền');
+    return;
+  }
   
   openModal({
-    title: isEdit ? 'Sửa dịch vụ' : 'Thêm dịch vụ mới',
+    title: `Hoàn tiền cho thanh toán #${paymentId}`,
     body: () => {
       const div = document.createElement('div');
-      div.innerHTML = `
-        <div class="form-group">
-          <label for="f_service_name">Tên dịch vụ *</label>
-          <input type="text" id="f_service_name" value="${isEdit ? service.name : ''}" required>
+      div.innerHTML = html`
+        <div class="booking-info">
+          <p><strong>Đơn đặt:</strong> #${payment.booking_id}</p>
+          <p><strong>Số tiền gốc:</strong> ${formatMoney(payment.amount)}</p>
+          <p><strong>Có thể hoàn:</strong> ${formatMoney(refundable)}</p>
         </div>
         
         <div class="form-group">
-          <label for="f_service_description">Mô tả</label>
-          <textarea id="f_service_description">${isEdit ? service.description : ''}</textarea>
+          <label for="f_refund_amount">Số tiền hoàn *</label>
+          <input type="number" id="f_refund_amount" value="${refundable}" min="0" max="${refundable}" required>
         </div>
         
-        <div class="form-group">
-          <label for="f_service_price">Giá *</label>
-          <input type="number" id="f_service_price" value="${isEdit ? service.price : ''}" min="0" required>
+        <div class="form-group">
+          <label for="f_refund_reason">Lý do</label>
+          <input type="text" id="f_refund_reason">
         </div>
       `;
       return div;
     },
     onSubmit: () => {
-      const name = document.getElementById('f_service_name').value.trim();
-      const description = document.getElementById('f_service_description').value.trim();
-      const price = parseFloat(document.getElementById('f_service_price').value);
+      if (!requirePermission('payments:refund')) return false;
       
-      if (!name) {
-        alert('Vui lòng nhập tên dịch vụ');
+      const amount = parseFloat(document.getElementById('f_refund_amount').value);
+      const reason = document.getElementById('f_refund_reason').value.trim();
+      
+      if (!(amount > 0) || amount > refundable) {
+        alert(`Số tiền hoàn phải trong khoảng 0 - ${formatMoney(refundable)}`);
         return false;
       }
       
-      if (isEdit) {
-        service.name = name;
-        service.description = description;
-        service.price = price;
-      } else {
-        const newService = {
-          service_id: generateId(state.services),
-          name: name,
-          description: description,
-          price: price
-        };
-        state.services.push(newService);
-      }
+      insertRecord('payments', {
+        booking_id: payment.booking_id,
+        amount: -amount,
+        payment_method: payment.payment_method,
+        payment_date: new Date().toISOString().split('T')[0],
+        status: 'REFUNDED',
+        payment_type: 'REFUND',
+        refund_of: paymentId,
+        note: reason
+      });
       
-      saveData(state);
-      renderServices();
+      renderPayments();
       return true;
     }
   });
 }
 
-function deleteService(serviceId) {
-  if (confirm('Bạn có chắc chắn muốn xóa dịch vụ này?')) {
-    // Check if service is used in any bookings
-    const isUsed = state.bookingServices.some(bs => bs.service_id === serviceId);
-    
-    if (isUsed) {
-      alert('Không thể xóa dịch vụ đang được sử dụng trong các đơn đặt');
-      return;
-    }
-    
-    state.services = state.services.filter(s => s.service_id !== serviceId);
-    saveData(state);
-    renderServices();
-    alert('Đã xóa dịch vụ thành công');
-  }
-}
-
 /* =========================
-   Bookings Management
+   Audit Log
    ========================= */
 
-function renderBookings() {
-  const tbody = document.querySelector('#tbl-bookings tbody');
+const AUDIT_ACTION_LABELS = {
+  CREATE: 'Tạo mới',
+  UPDATE: 'Cập nhật',
+  DELETE: 'Xóa',
+  IMPORT: 'Nhập dữ liệu',
+  TRIM: 'Dọn nhật ký'
+};
+
+function auditEntityLabel(entity) {
+  return { ...COLLECTION_LABELS, settings: 'Cài đặt', backup: 'Sao lưu' }[entity] || entity;
+}
+
+function formatAuditValue(value) {
+  if (value === null) return '∅';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
+
+/**
+ * New values for creates, old values for deletes, before → after otherwise
+ */
+function renderAuditChanges(entry) {
+  return html`${Object.entries(entry.changes).map(([field, [from, to]]) => {
+    const value = entry.action === 'DELETE' ? formatAuditValue(from) :
+      entry.action === 'UPDATE' ? `${formatAuditValue(from)} → ${formatAuditValue(to)}` :
+      formatAuditValue(to);
+    return html`<div><code>${field}</code>: ${value}</div>`;
+  })}`;
+}
+
+function renderAuditLog() {
+  const tbody = document.querySelector('#tbl-audit-log tbody');
   tbody.innerHTML = '';
   
-  state.bookings.forEach(booking => {
-    const user = state.users.find(u => u.user_id === booking.user_id);
-    const room = state.rooms.find(r => r.room_id === booking.room_id);
-    const roomType = state.roomTypes.find(t => t.type_id === room.type_id);
-    
+  const notice = document.getElementById('audit-log-notice');
+  notice.classList.toggle('hidden', !isAuditLogOverLimit());
+  notice.textContent = `Nhật ký có ${state.auditLog.length} mục, vượt giới hạn ${AUDIT_LOG_LOCAL_LIMIT} mục lưu trong trình duyệt. ` +
+    'Hãy xuất toàn bộ nhật ký ra CSV (không lọc) để các mục cũ đã xuất được dọn bớt.';
+  
+  applyTableView('audit-log').forEach(entry => {
     const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td>#${booking.booking_id}</td>
-      <td>${user.full_name}</td>
-      <td>${room.room_number} - ${roomType.name}</td>
-      <td>${booking.check_in_date}</td>
-      <td>${booking.check_out_date}</td>
-      <td>${formatMoney(booking.total_amount)}</td>
-      <td><span class="status-${booking.status.toLowerCase()}">${booking.status}</span></td>
-      <td>
-        <button class="btn btn-edit" onclick="showBookingManagementForm(${booking.booking_id})">Sửa</button>
-        <button class="btn" onclick="viewBookingServices(${booking.booking_id})">DV</button>
-      </td>
+    tr.innerHTML = html`
+      <td>#${entry.audit_id}</td>
+      <td>${new Date(entry.at).toLocaleString('vi-VN')}</td>
+      <td>${entry.actor_name || 'Khách / hệ thống'}</td>
+      <td><span class="audit-${entry.action.toLowerCase()}">${AUDIT_ACTION_LABELS[entry.action] || entry.action}</span></td>
+      <td>${auditEntityLabel(entry.entity)}${entry.entity_id !== null ? ` #${entry.entity_id}` : ''}</td>
+      <td class="audit-changes">${renderAuditChanges(entry)}</td>
     `;
     tbody.appendChild(tr);
   });
 }
 
-function showBookingManagementForm(bookingId) {
-  const booking = state.bookings.find(b => b.booking_id === bookingId);
-  const room = state.rooms.find(r => r.room_id === booking.room_id);
+/* =========================
+   System Settings
+   ========================= */
+
+function renderSystemSettings() {
+  const config = getStorageConfig();
+  document.getElementById('storage-current').textContent = storage.name;
+  document.getElementById('f_storage_type').value = config.type;
+  document.getElementById('f_storage_url').value = config.url || defaultRestUrl();
+  toggleStorageUrl();
+  renderPasswordPolicy();
+}
+
+function renderPasswordPolicy() {
+  const policy = state.settings.password_policy;
+  document.getElementById('f_policy_min_length').value = policy.min_length;
+  document.getElementById('policy-classes').innerHTML = html`${PASSWORD_CHARACTER_CLASSES.map(c => html`
+    <label class="check-option">
+      <input type="checkbox" name="f_policy_class" value="${c.key}" ${policy.required_classes.includes(c.key) ? 'checked' : ''}>
+      <span>${c.label}</span>
+    </label>
+  `)}`;
+  document.getElementById('f_policy_blocklist').value = policy.blocklist.join('\n');
+}
+
+function savePasswordPolicy() {
+  if (!requirePermission('system:manage')) return;
   
-  openModal({
-    title: `Quản lý đơn đặt #${bookingId}`,
-    body: () => {
-      const div = document.createElement('div');
-      div.innerHTML = `
-        <div class="form-group">
-          <label for="f_booking_status">Trạng thái *</label>
-          <select id="f_booking_status" required>
-            <option value="PENDING" ${booking.status === 'PENDING' ? 'selected' : ''}>Chờ xác nhận</option>
-            <option value="CONFIRMED" ${booking.status === 'CONFIRMED' ? 'selected' : ''}>Đã xác nhận</option>
-            <option value="CHECKED_IN" ${booking.status === 'CHECKED_IN' ? 'selected' : ''}>Đã nhận phòng</option>
-            <option value="CHECKED_OUT" ${booking.status === 'CHECKED_OUT' ? 'selected' : ''}>Đã trả phòng</option>
-            <option value="CANCELLED" ${booking.status === 'CANCELLED' ? 'selected' : ''}>Đã hủy</option>
-          </select>
-        </div>
-        
-        <div class="booking-info">
-          <p><strong>Phòng:</strong> ${room.room_number}</p>
-          <p><strong>Ngày nhận:</strong> ${booking.check_in_date}</p>
-          <p><strong>Ngày trả:</strong> ${booking.check_out_date}</p>
-          <p><strong>Tổng tiền:</strong> ${formatMoney(booking.total_amount)}</p>
-        </div>
-      `;
-      return div;
-    },
-    onSubmit: () => {
-      const status = document.getElementById('f_booking_status').value;
-      booking.status = status;
-      saveData(state);
-      renderBookings();
-      return true;
+  const minLength = parseInt(document.getElementById('f_policy_min_length').value);
+  if (!(minLength >= 1)) {
+    alert('Độ dài tối thiểu không hợp lệ');
+    return;
+  }
+  
+  updateSettings({
+    password_policy: {
+      min_length: minLength,
+      required_classes: Array.from(document.querySelectorAll('input[name="f_policy_class"]:checked')).map(el => el.value),
+      blocklist: [...new Set(document.getElementById('f_policy_blocklist').value.split('\n').map(l => l.trim()).filter(Boolean))]
     }
   });
+  renderPasswordPolicy();
+  alert('Đã lưu chính sách mật khẩu. Mật khẩu hiện có vẫn dùng được cho đến khi được đổi.');
 }
 
-function viewBookingServices(bookingId) {
-  const booking = state.bookings.find(b => b.booking_id === bookingId);
-  const currentServices = state.bookingServices.filter(bs => bs.booking_id === bookingId);
-  
-  openModal({
-    title: `Dịch vụ đơn #${bookingId}`,
-    body: () => {
-      const div = document.createElement('div');
-      div.innerHTML = `
-        <div id="current-services">
-          <h4>Dịch vụ hiện tại:</h4>
-          ${currentServices.length > 0 ? 
-            currentServices.map(bs => {
-              const service = state.services.find(s => s.service_id === bs.service_id);
-              return `
-                <div class="service-item">
-                  <span>${service.name} x ${bs.quantity} = ${formatMoney(bs.price)}</span>
-                  <button class="btn btn-delete" onclick="removeBookingService(${bs.booking_service_id})">Xóa</button>
-                </div>
-              `;
-            }).join('') :
-            '<p>Chưa có dịch vụ nào</p>'
-          }
-        </div>
-        
-        <hr>
-        
-        <div class="form-group">
-          <label for="f_add_service">Thêm dịch vụ</label>
-          <select id="f_add_service">
-            <option value="">Chọn dịch vụ</option>
-            ${state.services.map(service => `
-              <option value="${service.service_id}">${service.name} - ${formatMoney(service.price)}</option>
-            `).join('')}
-          </select>
-        </div>
-        
-        <div class="form-group">
-          <label for="f_service_quantity">Số lượng</label>
-          <input type="number" id="f_service_quantity" value="1" min="1">
-        </div>
-        
-        <button type="button" class="btn primary" onclick="addBookingService(${bookingId})">Thêm dịch vụ</button>
-      `;
-      return div;
-    },
-    onSubmit: () => true
-  });
+function toggleStorageUrl() {
+  const isRest = document.getElementById('f_storage_type').value === 'rest';
+  document.getElementById('storage-url-group').classList.toggle('hidden', !isRest);
 }
 
-function addBookingService(bookingId) {
-  const serviceId = parseInt(document.getElementById('f_add_service').value);
-  const quantity = parseInt(document.getElementById('f_service_quantity').value);
+/**
+ * Switch the storage backend and reload the app from it
+ */
+async function applyStorageSettings() {
+  if (!requirePermission('system:manage')) return;
   
-  if (!serviceId) {
-    alert('Vui lòng chọn dịch vụ');
+  const type = document.getElementById('f_storage_type').value;
+  const url = document.getElementById('f_storage_url').value.trim().replace(/\/+$/, '');
+  const copyData = document.getElementById('f_storage_copy').checked;
+  
+  if (type === 'rest' && !url) {
+    alert('Vui lòng nhập địa chỉ API');
     return;
   }
   
-  const service = state.services.find(s => s.service_id === serviceId);
-  const booking = state.bookings.find(b => b.booking_id === bookingId);
+  const config = type === 'rest' ? { type: type, url: url } : { type: type };
+  const target = createStorageAdapter(config);
   
-  const newBookingService = {
-    booking_service_id: generateId(state.bookingServices),
-    booking_id: bookingId,
-    service_id: serviceId,
-    quantity: quantity,
-    price: service.price * quantity
-  };
+  try {
+    await storageQueue;
+    if (copyData) {
+      await target.saveAll(state);
+    } else {
+      await target.load();
+    }
+  } catch (ex) {
+    console.error("Storage switch failed.", ex);
+    alert(`Không kết nối được kho dữ liệu ${target.name}: ${ex.message}`);
+    return;
+  }
+  
+  localStorage.setItem(STORAGE_CONFIG_KEY, JSON.stringify(config));
+  alert(`Đã chuyển sang ${target.name}. Ứng dụng sẽ tải lại.`);
+  location.reload();
+}
+
+/* =========================
+   Backup & Restore
+   ========================= */
+
+const BACKUP_FORMAT = 'hbs-backup';
+
+const COLLECTION_LABELS = {
+  roles: 'Vai trò',
+  users: 'Người dùng',
+  cancellationPolicies: 'Chính sách hủy',
+  roomTypes: 'Loại phòng',
+  rooms: 'Phòng',
+  rateRules: 'Giá theo mùa',
+  services: 'Dịch vụ',
+  promotions: 'Khuyến mãi',
+  reservations: 'Đặt phòng nhóm',
+  bookings: 'Đặt phòng',
+  bookingServices: 'Dịch vụ theo đơn',
+  payments: 'Thanh toán',
+  invoices: 'Hóa đơn',
+  auditLog: 'Nhật ký thay đổi'
+};
+
+// Fields pointing at other records, rewritten when ids are remapped
+const FOREIGN_KEYS = {
+  users: { role_id: 'roles' },
+  roomTypes: { policy_id: 'cancellationPolicies' },
+  rooms: { type_id: 'roomTypes' },
+  rateRules: { type_id: 'roomTypes', policy_id: 'cancellationPolicies' },
+  reservations: { user_id: 'users' },
+  bookings: { user_id: 'users', room_id: 'rooms', reservation_id: 'reservations' },
+  bookingServices: { booking_id: 'bookings', service_id: 'services' },
+  payments: { booking_id: 'bookings', reservation_id: 'reservations', refund_of: 'payments' },
+  invoices: { booking_id: 'bookings', reservation_id: 'reservations', issued_by: 'users' },
+  auditLog: { actor_id: 'users' }
+};
+
+// Reference data is matched by name rather than id when merging
+const NATURAL_KEYS = {
+  roles: 'role_name',
+  users: 'email',
+  cancellationPolicies: 'name',
+  roomTypes: 'name',
+  rooms: 'room_number',
+  services: 'name',
+  promotions: 'code'
+};
+
+function exportBackup() {
+  if (!requirePermission('system:manage')) return;
   
-  state.bookingServices.push(newBookingService);
-  booking.total_amount += newBookingService.price;
+  const { currentUser, ...data } = state;
+  const backup = {
+    format: BACKUP_FORMAT,
+    schema_version: SCHEMA_VERSION,
+    exported_at: new Date().toISOString(),
+    data: data
+  };
   
-  saveData(state);
-  alert('Đã thêm dịch vụ thành công');
-  viewBookingServices(bookingId);
+  downloadFile(JSON.stringify(backup, null, 2), `hotel-backup-${todayISO()}.json`, 'application/json');
 }
 
-function removeBookingService(bookingServiceId) {
-  if (confirm('Bạn có chắc chắn muốn xóa dịch vụ này?')) {
-    const bookingService = state.bookingServices.find(bs => bs.booking_service_id === bookingServiceId);
-    const booking = state.bookings.find(b => b.booking_id === bookingService.booking_id);
-    
-    booking.total_amount -= bookingService.price;
-    state.bookingServices = state.bookingServices.filter(bs => bs.booking_service_id !== bookingServiceId);
-    
-    saveData(state);
-    alert('Đã xóa dịch vụ thành công');
-    viewBookingServices(bookingService.booking_id);
-  }
+function todayISO() {
+  return new Date().toISOString().split('T')[0];
 }
 
-/* =========================
-   Users Management
-   ========================= */
+/**
+ * Offer generated content as a file download
+ */
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type: type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
 
-function renderUsers() {
-  const tbody = document.querySelector('#tbl-users tbody');
-  tbody.innerHTML = '';
+/**
+ * Parse and upgrade a backup file; throws with a readable message
+ */
+function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (ex) {
+    throw new Error('Tệp không phải là JSON hợp lệ');
+  }
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT || !isPlainObject(backup.data)) {
+    throw new Error('Tệp không phải là bản sao lưu của hệ thống');
+  }
   
-  state.users.forEach(user => {
-    const role = state.roles.find(r => r.role_id === user.role_id);
-    const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td>${user.user_id}</td>
-      <td>${user.full_name}</td>
-      <td>${user.email}</td>
-      <td>${user.phone}</td>
-      <td>${role.role_name}</td>
-      <td>
-        <button class="btn btn-edit" onclick="showUserForm(${user.user_id})">Sửa</button>
-        ${user.user_id !== state.currentUser.user_id ? 
-          `<button class="btn btn-delete" onclick="deleteUser(${user.user_id})">Xóa</button>` : 
-          ''
-        }
-      </td>
-    `;
-    tbody.appendChild(tr);
+  const data = { ...backup.data, schema_version: backup.schema_version, currentUser: null };
+  migrateData(data);
+  const problems = validateData(data);
+  if (problems.length > 0) {
+    throw new Error(`Dữ liệu sao lưu không hợp lệ:\n- ${problems.join('\n- ')}`);
+  }
+  return data;
+}
+
+function remapFields(record, fields, idMaps) {
+  fields.forEach(([field, target]) => {
+    const mapped = idMaps[target][record[field]];
+    if (mapped !== undefined) record[field] = mapped;
   });
 }
 
-function showUserForm(userId = null) {
-  const user = userId ? state.users.find(u => u.user_id === userId) : null;
-  const isEdit = !!user;
+/**
+ * Merge incoming data into current data.
+ * Reference data is matched by name, identical records are skipped and
+ * conflicting ids get new ids with every reference to them rewritten.
+ * Incoming bookings that would double-book a room are listed in overlaps.
+ */
+function mergeBackupData(current, incoming) {
+  const result = JSON.parse(JSON.stringify(current));
+  const idMaps = {};
+  const stats = {};
+  const overlaps = [];
   
-  openModal({
-    title: isEdit ? 'Sửa thông tin người dùng' : 'Thêm người dùng mới',
-    body: () => {
-      const div = document.createElement('div');
-      div.innerHTML = `
-        <div class="form-group">
-          <label for="f_user_name">Họ tên *</label>
-          <input type="text" id="f_user_name" value="${isEdit ? user.full_name : ''}" required>
-        </div>
-        
-        <div class="form-group">
-          <label for="f_user_email">Email *</label>
-          <input type="email" id="f_user_email" value="${isEdit ? user.email : ''}" required>
-        </div>
-        
-        <div class="form-group">
-          <label for="f_user_phone">Số điện thoại</label>
-          <input type="text" id="f_user_phone" value="${isEdit ? user.phone : ''}">
-        </div>
-        
-        <div class="form-group">
-          <label for="f_user_address">Địa chỉ</label>
-          <input type="text" id="f_user_address" value="${isEdit ? user.address : ''}">
-        </div>
-        
+  Object.entries(PRIMARY_KEYS).forEach(([collection, key]) => {
+    const map = idMaps[collection] = {};
+    const existing = result[collection];
+    const stat = stats[collection] = {
+      current: existing.length,
+      incoming: incoming[collection].length,
+      conflicts: 0,
+      matched: 0,
+      added: 0,
+      remapped: 0
+    };
+    const fields = Object.entries(FOREIGN_KEYS[collection] || {});
+    const externalFields = fields.filter(([, target]) => target !== collection);
+    const selfFields = fields.filter(([, target]) => target === collection);
+    const naturalKey = NATURAL_KEYS[collection];
+    let nextId = Math.max(
+      generateId(existing, key),
+      generateId(incoming[collection], key)
+    );
+    const added = [];
+    
+    incoming[collection].forEach(source => {
+      const record = JSON.parse(JSON.stringify(source));
+      remapFields(record, externalFields, idMaps);
+      if (collection === 'bookings' && record.status_history) {
+        record.status_history.forEach(entry => remapFields(entry, [['changed_by', 'users']], idMaps));
+      }
+      if (collection === 'bookings' && record.promotion) {
+        remapFields(record.promotion, [['promo_id', 'promotions']], idMaps);
+      }
+      
+      const sameId = existing.find(r => r[key] === record[key]);
+      if (sameId) stat.conflicts++;
+      
+      const match = naturalKey ?
+        existing.find(r => r[naturalKey] === record[naturalKey]) :
+        (sameId && JSON.stringify(sameId) === JSON.stringify(record) ? sameId : null);
+      if (match) {
+        map[record[key]] = match[key];
+        stat.matched++;
+        return;
+      }
+      
+      const newId = sameId ? nextId++ : record[key];
+      if (newId !== record[key]) stat.remapped++;
+      map[record[key]] = newId;
+      record[key] = newId;
+      stat.added++;
+      added.push(record);
+      
+      // A merge must not double-book a room
+      if (collection === 'bookings' && record.status !== 'CANCELLED' && record.status !== 'NO_SHOW' &&
+          checkOverlap(record.room_id, record.check_in_date, record.check_out_date, newId, [...existing, ...added])) {
+        const room = result.rooms.find(r => r.room_id === record.room_id);
+        overlaps.push(`Đơn #${source.booking_id}: phòng ${room ? room.room_number : record.room_id}, ${record.check_in_date} → ${record.check_out_date}`);
+      }
+    });
+    
+    added.forEach(record => remapFields(record, selfFields, idMaps));
+    existing.push(...added);
+  });
+  
+  return { data: result, stats: stats, overlaps: overlaps };
+}
+
+function renderBackupSummary(stats) {
+  return html`
+    <div class="table-wrap">
+      <table class="backup-summary">
+        <thead>
+          <tr>
+            <th>Dữ liệu</th>
+            <th>Hiện có</th>
+            <th>Trong tệp</th>
+            <th>Trùng ID</th>
+            <th>Gộp: thêm mới</th>
+            <th>Gộp: đổi ID</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${Object.entries(stats).map(([collection, stat]) => html`
+            <tr>
+              <td>${COLLECTION_LABELS[collection]}</td>
+              <td>${stat.current}</td>
+              <td>${stat.incoming}</td>
+              <td class="${stat.conflicts > 0 ? 'status-pending' : ''}">${stat.conflicts}</td>
+              <td>${stat.added}</td>
+              <td>${stat.remapped}</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+async function importBackup(file) {
+  if (!requirePermission('system:manage')) return;
+  
+  let incoming;
+  try {
+    incoming = parseBackup(await file.text());
+  } catch (ex) {
+    alert(ex.message);
+    return;
+  }
+  
+  const merge = mergeBackupData(state, incoming);
+  
+  openModal({
+    title: `Nhập dữ liệu: ${file.name}`,
+    body: () => {
+      const div = document.createElement('div');
+      div.innerHTML = html`
+        ${renderBackupSummary(merge.stats)}
+        ${merge.overlaps.length > 0 ? html`
+          <p class="promo-error">Không thể gộp: các đơn sau trùng lịch với đơn hiện có.</p>
+          <ul class="csv-errors">
+            ${merge.overlaps.map(o => html`<li>${o}</li>`)}
+          </ul>
+        ` : ''}
         <div class="form-group">
-          <label for="f_user_role">Vai trò *</label>
-          <select id="f_user_role" required>
-            ${state.roles.map(role => `
-              <option value="${role.role_id}" ${isEdit && user.role_id === role.role_id ? 'selected' : ''}>
-                ${role.role_name}
-              </option>
-            `).join('')}
-          </select>
+          <label class="check-option">
+            <input type="radio" name="f_import_mode" value="merge" checked>
+            <span>Gộp vào dữ liệu hiện tại (giữ cài đặt thuế hiện tại)</span>
+          </label>
+          <label class="check-option">
+            <input type="radio" name="f_import_mode" value="replace">
+            <span>Thay thế toàn bộ dữ liệu hiện tại</span>
+          </label>
         </div>
-        
-        ${!isEdit ? `
-          <div class="form-group">
-            <label for="f_user_password">Mật khẩu *</label>
-            <input type="password" id="f_user_password" required>
-          </div>
-        ` : ''}
       `;
       return div;
     },
-    onSubmit: () => {
-      const name = document.getElementById('f_user_name').value.trim();
-      const email = document.getElementById('f_user_email').value.trim();
-      const phone = document.getElementById('f_user_phone').value.trim();
-      const address = document.getElementById('f_user_address').value.trim();
-      const roleId = parseInt(document.getElementById('f_user_role').value);
+    onSubmit: async () => {
+      if (!requirePermission('system:manage')) return false;
       
-      if (!name || !email) {
-        alert('Vui lòng nhập họ tên và email');
+      const mode = document.querySelector('input[name="f_import_mode"]:checked').value;
+      if (mode === 'merge' && merge.overlaps.length > 0) {
+        alert(`Không thể gộp vì ${merge.overlaps.length} đơn trùng lịch với đơn hiện có`);
         return false;
       }
-      
-      // Check email uniqueness
-      const emailExists = state.users.some(u => 
-        u.email === email && u.user_id !== (user?.user_id)
-      );
-      
-      if (emailExists) {
-        alert('Email đã tồn tại trong hệ thống');
+      if (mode === 'replace' && !confirm('Toàn bộ dữ liệu hiện tại sẽ bị thay thế. Tiếp tục?')) {
         return false;
       }
       
-      if (isEdit) {
-        user.full_name = name;
-        user.email = email;
-        user.phone = phone;
-        user.address = address;
-        user.role_id = roleId;
-      } else {
-        const password = document.getElementById('f_user_password').value;
-        if (!password) {
-          alert('Vui lòng nhập mật khẩu');
-          return false;
-        }
-        
-        const newUser = {
-          user_id: generateId(state.users),
-          full_name: name,
-          email: email,
-          phone: phone,
-          address: address,
-          role_id: roleId,
-          password_hash: simpleHash(password)
-        };
-        state.users.push(newUser);
+      // The audit trail is append-only, so a replace keeps the current one
+      const data = mode === 'replace' ? { ...incoming, auditLog: state.auditLog } : merge.data;
+      state = { ...data, currentUser: state.currentUser };
+      recordAudit('IMPORT', 'backup', null, {}, { file: file.name, mode: mode });
+      await persist(() => storage.saveAll(state));
+      
+      const user = state.currentUser;
+      if (!state.users.some(u => u.user_id === user.user_id && u.email === user.email)) {
+        alert('Tài khoản hiện tại không còn trong dữ liệu mới. Vui lòng đăng nhập lại.');
+        showLoginScreen();
+        return true;
       }
       
-      saveData(state);
-      renderUsers();
+      alert(mode === 'replace' ? 'Đã thay thế dữ liệu thành công' : 'Đã gộp dữ liệu thành công');
+      renderSystemSettings();
       return true;
     }
   });
 }
 
-function deleteUser(userId) {
-  if (confirm('Bạn có chắc chắn muốn xóa người dùng này?')) {
-    // Check if user has bookings
-    const hasBookings = state.bookings.some(b => b.user_id === userId);
-    
-    if (hasBookings) {
-      alert('Không thể xóa người dùng đang có đơn đặt');
-      return;
+/* =========================
+   CSV Export & Import
+   ========================= */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Columns of each management table; rows() returns the current filtered view
+ * and exported(rows), when given, runs once the file has been written
+ */
+const CSV_EXPORTS = {
+  rooms: {
+    filename: 'phong',
+    permission: 'rooms:read',
+    rows: () => getFilteredRows('rooms'),
+    columns: [
+      { header: 'ID', value: r => r.room_id },
+      { header: 'Số phòng', value: r => r.room_number },
+      { header: 'Loại phòng', value: r => state.roomTypes.find(t => t.type_id === r.type_id)?.name },
+      { header: 'Trạng thái', value: r => r.status },
+      { header: 'Giá cơ bản', value: r => state.roomTypes.find(t => t.type_id === r.type_id)?.base_price },
+      { header: 'Tiện nghi', value: r => r.features }
+    ]
+  },
+  services: {
+    filename: 'dich-vu',
+    permission: 'services:read',
+    rows: () => getFilteredRows('services'),
+    columns: [
+      { header: 'ID', value: s => s.service_id },
+      { header: 'Tên dịch vụ', value: s => s.name },
+      { header: 'Mô tả', value: s => s.description },
+      { header: 'Giá', value: s => s.price }
+    ]
+  },
+  bookings: {
+    filename: 'dat-phong',
+    permission: 'bookings:read',
+    rows: () => getFilteredRows('bookings'),
+    columns: [
+      { header: 'ID', value: b => b.booking_id },
+      { header: 'Khách hàng', value: b => state.users.find(u => u.user_id === b.user_id)?.full_name },
+      { header: 'Email', value: b => state.users.find(u => u.user_id === b.user_id)?.email },
+      { header: 'Số phòng', value: b => state.rooms.find(r => r.room_id === b.room_id)?.room_number },
+      { header: 'Loại phòng', value: b => {
+        const room = state.rooms.find(r => r.room_id === b.room_id);
+        return room && state.roomTypes.find(t => t.type_id === room.type_id)?.name;
+      } },
+      { header: 'Nhận phòng', value: b => b.check_in_date },
+      { header: 'Trả phòng', value: b => b.check_out_date },
+      { header: 'Số khách', value: b => b.number_of_guests },
+      { header: 'Mã khuyến mãi', value: b => b.promotion ? b.promotion.code : '' },
+      { header: 'Giảm giá', value: b => b.discount_amount || 0 },
+      { header: 'Tổng tiền', value: b => b.total_amount },
+      { header: 'Đã thanh toán', value: b => getAmountPaid(b.booking_id) },
+      { header: 'Còn lại', value: b => getBookingBalance(b) },
+      { header: 'Trạng thái', value: b => BOOKING_STATUS_LABELS[b.status] || b.status }
+    ]
+  },
+  users: {
+    filename: 'nguoi-dung',
+    permission: 'users:read',
+    rows: () => getFilteredRows('users'),
+    columns: [
+      { header: 'ID', value: u => u.user_id },
+      { header: 'Họ tên', value: u => u.full_name },
+      { header: 'Email', value: u => u.email },
+      { header: 'Số điện thoại', value: u => u.phone },
+      { header: 'Địa chỉ', value: u => u.address },
+      { header: 'Vai trò', value: u => state.roles.find(r => r.role_id === u.role_id)?.role_name }
+    ]
+  },
+  payments: {
+    filename: 'thanh-toan',
+    permission: 'payments:read',
+    rows: () => getFilteredRows('payments'),
+    columns: [
+      { header: 'ID', value: p => p.payment_id },
+      { header: 'Mã đơn', value: p => p.booking_id },
+      { header: 'Khách hàng', value: p => {
+        const booking = state.bookings.find(b => b.booking_id === p.booking_id);
+        return booking && state.users.find(u => u.user_id === booking.user_id)?.full_name;
+      } },
+      { header: 'Loại', value: p => PAYMENT_TYPE_LABELS[p.payment_type] || p.payment_type },
+      { header: 'Hoàn cho', value: p => p.refund_of },
+      { header: 'Số tiền', value: p => p.amount },
+      { header: 'Phương thức', value: p => PAYMENT_METHODS[p.payment_method] || p.payment_method },
+      { header: 'Ngày thanh toán', value: p => p.payment_date },
+      { header: 'Trạng thái', value: p => p.status }
+    ]
+  },
+  'audit-log': {
+    filename: 'nhat-ky',
+    permission: 'audit:read',
+    rows: () => getFilteredRows('audit-log'),
+    exported: rows => markAuditLogExported(rows),
+    columns: [
+      { header: 'ID', value: e => e.audit_id },
+      { header: 'Thời gian', value: e => e.at },
+      { header: 'Người thực hiện', value: e => e.actor_name },
+      { header: 'Hành động', value: e => AUDIT_ACTION_LABELS[e.action] || e.action },
+      { header: 'Đối tượng', value: e => auditEntityLabel(e.entity) },
+      { header: 'Mã đối tượng', value: e => e.entity_id },
+      { header: 'Thay đổi', value: e => JSON.stringify(e.changes) }
+    ]
+  }
+};
+
+/**
+ * Row parsers for importable tables.
+ * row(cells, existing, accepted) returns { data, errors }; a cell is undefined
+ * when its column is missing, so updates keep the current value.
+ * save(data, id), when given, writes a row instead of insertRecord/updateRecord.
+ */
+const CSV_IMPORTS = {
+  rooms: {
+    permission: 'rooms:write',
+    required: ['Số phòng', 'Loại phòng'],
+    render: () => renderRooms(),
+    row(cells, existing, accepted) {
+      const errors = [];
+      const roomNumber = cells['Số phòng'];
+      const roomType = state.roomTypes.find(t => t.name === cells['Loại phòng']);
+      const status = cells['Trạng thái'] || existing?.status || 'Available';
+      
+      if (!roomNumber) {
+        errors.push('thiếu số phòng');
+      } else if (state.rooms.some(r => r.room_number === roomNumber && r !== existing) ||
+                 accepted.some(d => d.room_number === roomNumber)) {
+        errors.push(`số phòng "${roomNumber}" bị trùng`);
+      }
+      if (!roomType) errors.push(`không có loại phòng "${cells['Loại phòng']}"`);
+      if (!ROOM_STATUSES.includes(status)) {
+        errors.push(`trạng thái phải là ${ROOM_STATUSES.join(', ')}`);
+      }
+      
+      return {
+        errors: errors,
+        data: {
+          room_number: roomNumber,
+          type_id: roomType?.type_id,
+          status: status,
+          features: cells['Tiện nghi'] ?? existing?.features ?? ''
+        }
+      };
+    }
+  },
+  services: {
+    permission: 'services:write',
+    required: ['Tên dịch vụ', 'Giá'],
+    render: () => renderServices(),
+    row(cells, existing) {
+      const errors = [];
+      const name = cells['Tên dịch vụ'];
+      const price = Number(cells['Giá']);
+      
+      if (!name) errors.push('thiếu tên dịch vụ');
+      if (cells['Giá'] === '' || !(price >= 0)) errors.push('giá phải là số không âm');
+      
+      return {
+        errors: errors,
+        data: {
+          name: name,
+          description: cells['Mô tả'] ?? existing?.description ?? '',
+          price: price
+        }
+      };
+    }
+  },
+  users: {
+    permission: 'users:write',
+    required: ['Họ tên', 'Email'],
+    render: () => renderUsers(),
+    row(cells, existing, accepted) {
+      const errors = [];
+      const email = cells['Email'];
+      const roleName = cells['Vai trò'];
+      const role = roleName ?
+        state.roles.find(r => r.role_name === roleName) :
+        state.roles.find(r => r.role_id === (existing ? existing.role_id : 4));
+      
+      if (!cells['Họ tên']) errors.push('thiếu họ tên');
+      if (!EMAIL_PATTERN.test(email)) {
+        errors.push('email không hợp lệ');
+      } else if (state.users.some(u => u.email === email && u !== existing) ||
+                 accepted.some(d => d.email === email)) {
+        errors.push(`email "${email}" đã tồn tại`);
+      }
+      if (!role) errors.push(`không có vai trò "${roleName}"`);
+      if (!existing && !cells['Mật khẩu']) errors.push('thiếu mật khẩu cho người dùng mới');
+      if (cells['Mật khẩu']) {
+        getPasswordPolicyErrors(cells['Mật khẩu']).forEach(e => errors.push(`mật khẩu: ${e.toLowerCase()}`));
+      }
+      
+      return {
+        errors: errors,
+        data: {
+          full_name: cells['Họ tên'],
+          email: email,
+          phone: cells['Số điện thoại'] ?? existing?.phone ?? '',
+          address: cells['Địa chỉ'] ?? existing?.address ?? '',
+          role_id: role?.role_id,
+          password: cells['Mật khẩu'] || null
+        }
+      };
+    },
+    // Passwords are only hashed once the whole file has passed validation;
+    // a new password for an existing user ends their sessions like an admin reset
+    async save({ password, ...data }, id) {
+      if (id === null) {
+        insertRecord('users', { ...data, ...(await hashPassword(password)) });
+        return;
+      }
+      updateRecord('users', id, data);
+      if (password) await setUserPassword(id, password);
     }
-    
-    state.users = state.users.filter(u => u.user_id !== userId);
-    saveData(state);
-    renderUsers();
-    alert('Đã xóa người dùng thành công');
   }
+};
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating text as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
-/* =========================
-   Payments Management
-   ========================= */
+function fromCsvValue(text) {
+  const value = text.trim();
+  return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
 
-function renderPayments() {
-  const tbody = document.querySelector('#tbl-payments tbody');
-  tbody.innerHTML = '';
+/**
+ * Parse CSV text (comma or semicolon separated, quoted fields) into rows of cells
+ */
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
   
-  state.payments.forEach(payment => {
-    const booking = state.bookings.find(b => b.booking_id === payment.booking_id);
-    const user = state.users.find(u => u.user_id === booking.user_id);
-    
-    const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td>#${payment.payment_id}</td>
-      <td>#${payment.booking_id} (${user.full_name})</td>
-      <td>${formatMoney(payment.amount)}</td>
-      <td>${payment.payment_method}</td>
-      <td>${payment.payment_date}</td>
-      <td><span class="status-${payment.status.toLowerCase()}">${payment.status}</span></td>
-      <td>
-        <button class="btn btn-edit" onclick="showPaymentForm(${payment.payment_id})">Sửa</button>
-      </td>
-    `;
-    tbody.appendChild(tr);
-  });
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
 }
 
-function showPaymentForm(paymentId = null) {
-  const payment = paymentId ? state.payments.find(p => p.payment_id === paymentId) : null;
-  const isEdit = !!payment;
+function exportCsv(table) {
+  const config = CSV_EXPORTS[table];
+  if (!requirePermission(config.permission)) return;
+  
+  const rows = config.rows();
+  const lines = [
+    config.columns.map(c => c.header),
+    ...rows.map(record => config.columns.map(c => c.value(record)))
+  ];
+  const csv = lines.map(line => line.map(toCsvValue).join(',')).join('\r\n');
+  
+  // BOM so Excel reads the file as UTF-8
+  downloadFile('\uFEFF' + csv, `${config.filename}-${todayISO()}.csv`, 'text/csv;charset=utf-8');
+  if (config.exported) config.exported(rows);
+}
+
+/**
+ * Validate every row first; nothing is imported while any row has errors
+ */
+async function importCsv(table, file) {
+  const config = CSV_IMPORTS[table];
+  if (!requirePermission(config.permission)) return;
+  
+  const rows = parseCsv(await file.text());
+  if (rows.length < 2) {
+    alert('Tệp CSV không có dữ liệu');
+    return;
+  }
+  
+  const headers = rows[0].map(h => h.trim());
+  const missing = config.required.filter(h => !headers.includes(h));
+  if (missing.length > 0) {
+    alert(`Tệp CSV thiếu cột: ${missing.join(', ')}`);
+    return;
+  }
+  
+  const key = PRIMARY_KEYS[table];
+  const errors = [];
+  const inserts = [];
+  const updates = [];
+  
+  rows.slice(1).forEach((row, index) => {
+    const line = index + 2;
+    const cells = {};
+    headers.forEach((header, i) => {
+      cells[header] = fromCsvValue(row[i] || '');
+    });
+    
+    let existing = null;
+    if (cells['ID']) {
+      existing = state[table].find(r => r[key] === Number(cells['ID']));
+      if (!existing || updates.some(u => u.id === existing[key])) {
+        errors.push(`Dòng ${line}: ID ${cells['ID']} không tồn tại hoặc bị lặp`);
+        return;
+      }
+    }
+    
+    const accepted = [...inserts, ...updates.map(u => u.data)];
+    const result = config.row(cells, existing, accepted);
+    if (result.errors.length > 0) {
+      errors.push(`Dòng ${line}: ${result.errors.join('; ')}`);
+    } else if (existing) {
+      updates.push({ id: existing[key], data: result.data });
+    } else {
+      inserts.push(result.data);
+    }
+  });
+  
+  if (errors.length > 0) {
+    openModal({
+      title: `Lỗi nhập CSV: ${file.name}`,
+      body: () => {
+        const div = document.createElement('div');
+        div.innerHTML = html`
+          <p>Không có dòng nào được nhập. Vui lòng sửa các lỗi sau rồi thử lại:</p>
+          <ul class="csv-errors">
+            ${errors.map(e => html`<li>${e}</li>`)}
+          </ul>
+        `;
+        return div;
+      },
+      onSubmit: () => true
+    });
+    return;
+  }
   
   openModal({
-    title: isEdit ? 'Sửa thông tin thanh toán' : 'Thêm thanh toán mới',
+    title: `Nhập CSV: ${file.name}`,
     body: () => {
       const div = document.createElement('div');
-      div.innerHTML = `
-        <div class="form-group">
-          <label for="f_payment_booking">Đơn đặt *</label>
-          <select id="f_payment_booking" required>
-            <option value="">Chọn đơn đặt</option>
-            ${state.bookings.map(booking => {
-              const user = state.users.find(u => u.user_id === booking.user_id);
-              return `
-                <option value="${booking.booking_id}" ${isEdit && payment.booking_id === booking.booking_id ? 'selected' : ''}>
-                  #${booking.booking_id} - ${user.full_name} - ${formatMoney(booking.total_amount)}
-                </option>
-              `;
-            }).join('')}
-          </select>
-        </div>
-        
-        <div class="form-group">
-          <label for="f_payment_amount">Số tiền *</label>
-          <input type="number" id="f_payment_amount" value="${isEdit ? payment.amount : ''}" min="0" required>
-        </div>
-        
-        <div class="form-group">
-          <label for="f_payment_method">Phương thức *</label>
-          <select id="f_payment_method" required>
-            <option value="Cash" ${isEdit && payment.payment_method === 'Cash' ? 'selected' : ''}>Tiền mặt</option>
-            <option value="Credit Card" ${isEdit && payment.payment_method === 'Credit Card' ? 'selected' : ''}>Thẻ tín dụng</option>
-            <option value="Bank Transfer" ${isEdit && payment.payment_method === 'Bank Transfer' ? 'selected' : ''}>Chuyển khoản</option>
-            <option value="E-Wallet" ${isEdit && payment.payment_method === 'E-Wallet' ? 'selected' : ''}>Ví điện tử</option>
-          </select>
-        </div>
-        
-        <div class="form-group">
-          <label for="f_payment_date">Ngày thanh toán *</label>
-          <input type="date" id="f_payment_date" value="${isEdit ? payment.payment_date : new Date().toISOString().split('T')[0]}" required>
-        </div>
-        
-        <div class="form-group">
-          <label for="f_payment_status">Trạng thái *</label>
-          <select id="f_payment_status" required>
-            <option value="PENDING" ${isEdit && payment.status === 'PENDING' ? 'selected' : ''}>Chờ xử lý</option>
-            <option value="PAID" ${isEdit && payment.status === 'PAID' ? 'selected' : ''}>Đã thanh toán</option>
-            <option value="FAILED" ${isEdit && payment.status === 'FAILED' ? 'selected' : ''}>Thất bại</option>
-            <option value="REFUNDED" ${isEdit && payment.status === 'REFUNDED' ? 'selected' : ''}>Đã hoàn tiền</option>
-          </select>
-        </div>
+      div.innerHTML = html`
+        <p>Thêm mới: <strong>${inserts.length}</strong> dòng</p>
+        <p>Cập nhật: <strong>${updates.length}</strong> dòng</p>
       `;
       return div;
     },
-    onSubmit: () => {
-      const bookingId = parseInt(document.getElementById('f_payment_booking').value);
-      const amount = parseFloat(document.getElementById('f_payment_amount').value);
-      const method = document.getElementById('f_payment_method').value;
-      const date = document.getElementById('f_payment_date').value;
-      const status = document.getElementById('f_payment_status').value;
-      
-      if (!bookingId || amount <= 0) {
-        alert('Vui lòng kiểm tra lại thông tin thanh toán');
-        return false;
-      }
+    onSubmit: async () => {
+      if (!requirePermission(config.permission)) return false;
       
-      if (isEdit) {
-        payment.booking_id = bookingId;
-        payment.amount = amount;
-        payment.payment_method = method;
-        payment.payment_date = date;
-        payment.status = status;
-      } else {
-        const newPayment = {
-          payment_id: generateId(state.payments),
-          booking_id: bookingId,
-          amount: amount,
-          payment_method: method,
-          payment_date: date,
-          status: status
-        };
-        state.payments.push(newPayment);
+      const save = config.save ||
+        ((data, id) => id === null ? insertRecord(table, data) : updateRecord(table, id, data));
+      for (const data of inserts) {
+        await save(data, null);
       }
-      
-      // Update booking status if payment is completed
-      if (status === 'PAID') {
-        const booking = state.bookings.find(b => b.booking_id === bookingId);
-        if (booking) {
-          booking.status = 'CONFIRMED';
-        }
+      for (const update of updates) {
+        await save(update.data, update.id);
       }
       
-      saveData(state);
-      renderPayments();
-      if (!isEdit) {
-        renderBookings();
-      }
+      config.render();
+      alert(`Đã nhập ${inserts.length + updates.length} dòng thành công`);
       return true;
     }
   });
@@ -1341,9 +7354,15 @@ function openModal(opts) {
   modalBody.appendChild(content);
   modal.classList.remove('hidden');
 
-  const submitHandler = () => {
-    if (opts.onSubmit && opts.onSubmit() !== false) {
-      modal.classList.add('hidden');
+  // onSubmit may be async; keep the modal open until it settles
+  const submitHandler = async () => {
+    modalSubmit.disabled = true;
+    try {
+      if (opts.onSubmit && (await opts.onSubmit()) !== false) {
+        modal.classList.add('hidden');
+      }
+    } finally {
+      modalSubmit.disabled = false;
     }
   };
 
@@ -1359,6 +7378,61 @@ function openModal(opts) {
    Event Listeners & Initialization
    ========================= */
 
+/**
+ * Handlers for [data-action] elements in rendered templates
+ * Arguments come from the element's data attributes; data-id holds a record id.
+ */
+const CLICK_ACTIONS = {
+  startBooking: d => startBooking(Number(d.id)),
+  showBookingForm: d => showBookingForm(Number(d.id), d.checkIn, d.checkOut, Number(d.guests)),
+  viewBookingDetails: d => viewBookingDetails(Number(d.id)),
+  showModifyBookingForm: d => showModifyBookingForm(Number(d.id)),
+  cancelBooking: d => cancelBooking(Number(d.id)),
+  showReservation: d => showReservation(Number(d.id)),
+  showGroupPaymentForm: d => showGroupPaymentForm(Number(d.id)),
+  showGroupInvoice: d => showGroupInvoice(Number(d.id)),
+  issueGroupInvoice: d => issueGroupInvoice(Number(d.id)),
+  setTablePage: d => setTablePage(d.view, Number(d.page)),
+  showRoomForm: d => showRoomForm(Number(d.id)),
+  deleteRoom: d => deleteRoom(Number(d.id)),
+  showRoomTypeForm: d => showRoomTypeForm(Number(d.id)),
+  deleteRoomType: d => deleteRoomType(Number(d.id)),
+  showRateRuleForm: d => showRateRuleForm(Number(d.id)),
+  deleteRateRule: d => deleteRateRule(Number(d.id)),
+  showCancellationPolicyForm: d => showCancellationPolicyForm(Number(d.id)),
+  deleteCancellationPolicy: d => deleteCancellationPolicy(Number(d.id)),
+  showPromotionForm: d => showPromotionForm(Number(d.id)),
+  deletePromotion: d => deletePromotion(Number(d.id)),
+  showTaxForm: d => showTaxForm(Number(d.id)),
+  deleteTax: d => deleteTax(Number(d.id)),
+  showServiceForm: d => showServiceForm(Number(d.id)),
+  deleteService: d => deleteService(Number(d.id)),
+  showBookingManagementForm: d => showBookingManagementForm(Number(d.id)),
+  viewBookingServices: d => viewBookingServices(Number(d.id)),
+  addBookingService: d => addBookingService(Number(d.id)),
+  removeBookingService: d => removeBookingService(Number(d.id)),
+  showInvoice: d => showInvoice(Number(d.id)),
+  issueInvoice: d => issueInvoice(Number(d.id)),
+  frontDeskCheckIn: d => frontDeskCheckIn(Number(d.id)),
+  frontDeskCheckOut: d => frontDeskCheckOut(Number(d.id)),
+  markRoomCleaned: d => markRoomCleaned(Number(d.id)),
+  selectTapeCell: d => selectTapeCell(Number(d.room), d.date),
+  showUserForm: d => showUserForm(Number(d.id)),
+  deleteUser: d => deleteUser(Number(d.id)),
+  showPaymentForm: d => showPaymentForm(Number(d.id)),
+  showRefundForm: d => showRefundForm(Number(d.id))
+};
+
+const CHANGE_ACTIONS = {
+  setTablePageSize: (d, el) => setTablePageSize(d.view, el.value)
+};
+
+function handleDelegatedEvent(actions, e) {
+  const el = e.target.closest('[data-action]');
+  const action = el && actions[el.dataset.action];
+  if (action && !el.disabled) action(el.dataset, el);
+}
+
 function initEvents() {
   // Authentication events
   document.getElementById('login-form').addEventListener('submit', function(e) {
@@ -1390,8 +7464,28 @@ function initEvents() {
     showLoginScreen();
   });
   
+  document.getElementById('show-forgot-password').addEventListener('click', function(e) {
+    e.preventDefault();
+    showForgotPasswordForm();
+  });
+  
+  document.getElementById('show-outbox').addEventListener('click', function(e) {
+    e.preventDefault();
+    showOutbox();
+  });
+  
   document.getElementById('btn-logout').addEventListener('click', handleLogout);
   
+  // Buttons rendered into templates
+  document.addEventListener('click', e => handleDelegatedEvent(CLICK_ACTIONS, e));
+  document.addEventListener('change', e => handleDelegatedEvent(CHANGE_ACTIONS, e));
+  
+  // Session activity and changes made in other tabs
+  ['click', 'keydown', 'mousemove', 'scroll'].forEach(type => {
+    document.addEventListener(type, touchSession, { passive: true });
+  });
+  window.addEventListener('storage', handleStorageEvent);
+  
   // Demo account click handlers
   document.querySelectorAll('.demo-account').forEach(el => {
     el.addEventListener('click', function() {
@@ -1432,13 +7526,76 @@ function initEvents() {
     e.preventDefault();
     searchAvailableRooms();
   });
+  
+  // Account page
+  document.getElementById('account-profile-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+    saveAccountProfile();
+  });
+  document.getElementById('account-password-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+    changeOwnPassword();
+  });
+  attachStrengthMeter(document.getElementById('f_account_new_password'));
+  attachStrengthMeter(document.getElementById('register-password'));
 
   // Management buttons
   document.getElementById('btn-new-room').addEventListener('click', () => showRoomForm());
+  document.getElementById('btn-new-room-type').addEventListener('click', () => showRoomTypeForm());
+  document.getElementById('btn-new-rate-rule').addEventListener('click', () => showRateRuleForm());
+  document.getElementById('btn-new-cancellation-policy').addEventListener('click', () => showCancellationPolicyForm());
+  document.getElementById('btn-new-promotion').addEventListener('click', () => showPromotionForm());
+  document.getElementById('btn-new-tax').addEventListener('click', () => showTaxForm());
+  document.getElementById('f_prices_include_tax').addEventListener('change', (e) => setPricesIncludeTax(e.target.checked));
   document.getElementById('btn-new-service').addEventListener('click', () => showServiceForm());
   document.getElementById('btn-new-booking').addEventListener('click', () => setActiveSection('booking'));
   document.getElementById('btn-new-user').addEventListener('click', () => showUserForm());
   document.getElementById('btn-new-payment').addEventListener('click', () => showPaymentForm());
+  document.getElementById('btn-print-invoice').addEventListener('click', () => window.print());
+  document.getElementById('btn-invoice-back').addEventListener('click', () => setActiveSection('bookings'));
+  document.getElementById('f_storage_type').addEventListener('change', toggleStorageUrl);
+  document.getElementById('btn-apply-storage').addEventListener('click', applyStorageSettings);
+  document.getElementById('btn-export-backup').addEventListener('click', exportBackup);
+  document.getElementById('btn-save-password-policy').addEventListener('click', savePasswordPolicy);
+  
+  // Tape chart
+  document.getElementById('btn-tape-prev').addEventListener('click', () => shiftTapeChart(-7));
+  document.getElementById('btn-tape-today').addEventListener('click', () => shiftTapeChart(0));
+  document.getElementById('btn-tape-next').addEventListener('click', () => shiftTapeChart(7));
+  document.getElementById('tape-chart-start').addEventListener('change', function() {
+    if (!this.value) return;
+    tapeChartStart = this.value;
+    tapeSelection = null;
+    renderTapeChart();
+  });
+  initTapeChartEvents();
+  
+  // Reports
+  ['report-from', 'report-to', 'report-group'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateReportOptions);
+  });
+  document.getElementById('btn-export-report').addEventListener('click', exportReportCsv);
+  document.getElementById('btn-print-report').addEventListener('click', () => window.print());
+  document.getElementById('btn-import-backup').addEventListener('click', () => {
+    document.getElementById('f_backup_file').click();
+  });
+  document.getElementById('f_backup_file').addEventListener('change', function() {
+    if (this.files[0]) importBackup(this.files[0]);
+    this.value = '';
+  });
+  
+  // CSV export/import buttons
+  Object.keys(CSV_EXPORTS).forEach(table => {
+    document.getElementById(`btn-export-${table}`).addEventListener('click', () => exportCsv(table));
+  });
+  Object.keys(CSV_IMPORTS).forEach(table => {
+    const input = document.getElementById(`f_import_${table}`);
+    document.getElementById(`btn-import-${table}`).addEventListener('click', () => input.click());
+    input.addEventListener('change', function() {
+      if (this.files[0]) importCsv(table, this.files[0]);
+      this.value = '';
+    });
+  });
 
   // Set minimum dates for booking
   const today = new Date().toISOString().split('T')[0];
@@ -1446,22 +7603,36 @@ function initEvents() {
   document.getElementById('check-out').min = today;
 }
 
-function init() {
+async function init() {
+  storage = createStorageAdapter(getStorageConfig());
+  try {
+    state = await loadData();
+  } catch (ex) {
+    console.error("Storage backend unavailable, falling back to localStorage.", ex);
+    alert(`Không kết nối được kho dữ liệu ${storage.name}, chuyển sang localStorage`);
+    storage = createLocalStorageAdapter();
+    state = await loadData();
+  }
+  if (!state) return;
+  
+  const reason = restoreSession();
   if (state.currentUser) {
     showMainApp();
   } else {
-    showLoginScreen();
+    showLoginScreen(reason);
   }
   
   initEvents();
+  setInterval(checkSession, SESSION_CHECK_INTERVAL);
+  initTableViews();
   
   // Add CSS for status badges
   const style = document.createElement('style');
   style.textContent = `
     .status-available, .status-confirmed, .status-paid { color: #10b981; font-weight: 600; }
-    .status-pending { color: #f59e0b; font-weight: 600; }
+    .status-pending, .status-cleaning { color: #f59e0b; font-weight: 600; }
     .status-occupied, .status-checked_in { color: #3b82f6; font-weight: 600; }
-    .status-cancelled, .status-failed, .status-maintenance { color: #ef4444; font-weight: 600; }
+    .status-cancelled, .status-no_show, .status-failed, .status-maintenance { color: #ef4444; font-weight: 600; }
     .status-checked_out, .status-refunded { color: #6b7280; font-weight: 600; }
     
     .available-room {